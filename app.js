@@ -1,31 +1,72 @@
-// app.js — Uber Eats Discord Tracker (Multi-ticket, DB-first, Realtime Scrape + Ephemeral errors + Railway)
+// app.js — Delivery Discord Tracker: Uber Eats, DoorDash, Grubhub (Multi-ticket, DB-first, Realtime Scrape + Ephemeral errors + Railway)
 // -----------------------------------------------------------------------------
 // REQUIRED ENV (.env or Railway variables)
 //
 // DISCORD_TOKEN=xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx
 // DISCORD_APP_ID=1423195408041119829
-// GUILD_ID=1405973995399942214
+//
+// Per-guild defaults (each server can override these with /config):
 // THANK_BRAND=116 GAMER
-// VOUCH_CHANNEL_ID=1405983244096372839
-// NOTIFY_ROLE_ID=1405978891666849812
+// VOUCH_CHANNEL_ID=1405983244096372839  # unset = no vouch line
+// NOTIFY_ROLE_ID=1405978891666849812    # unset = no automatic assignee
 // STORE_EMOJI=🏬
+// TRACKER_ROLE_IDS=111,222        # roles allowed to /track (unset = anyone)
+// SELF_TRACK=1                    # customers may /track in their own ticket
+// DM_CLAIM=requester_assignee     # or anyone: who may claim DM updates
 //
 // DB_PATH=/data/tracker.db        # use /data on Railway volume
 // PORT=3000
-// POLL_INTERVAL_MS=60000
+// POLL_INTERVAL_MS=60000          # fallback cadence (unknown phase)
+// POLL_PREPARING_MS=120000        # optional per-phase cadence overrides
+// POLL_HEADING_MS=45000
+// POLL_ALMOST_HERE_MS=20000
+// TIMEZONE=America/New_York       # how clock ETAs on the order page are read (/config default)
+// LATE_ALERT_MIN=15               # ping the assignee once the order is this late vs the first ETA
+// SCRAPE_CONCURRENCY=3            # size of the shared Puppeteer page pool
 // SCRAPE_DELAY_MS=2500
-// THEME=classic                   # or modern
+// HTTP_SCRAPE=0                   # disable the HTTP-only fast path (always drive Chromium)
+// HTTP_SCRAPE_TIMEOUT_MS=15000
+// THEME=classic                   # or modern (/config default)
 // DEBUG=1                         # optional
 //
+// Optional capture mode (saves raw order pages when a scrape looks wrong):
+// CAPTURE_DIR=/data/captures
+// CAPTURE_SCREENSHOT=1            # also save a full-page PNG
+// CAPTURE_KEEP=100                # newest captures kept across all jobs
+//
+// Optional courier map snapshot attached to the tracking embed (loads images, so more bandwidth):
+// MAP_SNAPSHOTS=1
+// MAP_PHASES=HEADING,ALMOST_HERE,COURIER_REASSIGNED   # phases that get a fresh shot on entry
+// MAP_MAX_KB=300                  # per-image budget; JPEG quality steps down to fit
+// MAP_REFRESH_MIN=0               # also re-shoot while in those phases (0 = phase changes only)
+//
+// Stale-tracker watchdog (warn, then stop + archive):
+// STALE_WARN_MIN=90               # minutes without a status change
+// STALE_STOP_MIN=180
+// STALE_ERRORS_WARN=5             # failed scrapes in a row
+// STALE_ERRORS_STOP=15
+//
 // Optional ops alerts:
 // OWNER_USER_ID=123456789012345678
-// DISCORD_LOG_CHANNEL_ID=123456789012345678
+// DISCORD_LOG_CHANNEL_ID=123456789012345678   # default ops channel (/config ops_channel_id)
+//
+// Optional REST API + /events SSE stream (Authorization: Bearer <token>); disabled when unset:
+// API_TOKEN=anotherlongrandomsecret
+//
+// Monitoring: GET /metrics (Prometheus text format); GET /health answers 503 + status "degraded"
+// while the browser is down or most recent scrapes failed.
 //
-// Bridge secret (must match 116-bot):
-// BRIDGE_SECRET=superlongrandomsecret
+// Outbound webhooks are managed per guild with /webhook (Manage Server); deliveries are
+// HMAC-signed (X-Tracker-Signature) and retried from the webhook_deliveries table.
+//
+// Bridge to 116-bot (signed + acknowledged, see lib/bridge.js); disabled without a secret:
+// BRIDGE_SECRET=superlongrandomsecret   # HMAC key, must match 116-bot (never sent)
+// BRIDGE_URL=https://116-bot.example/bridge      # HTTP transport, or…
+// BRIDGE_CHANNEL_ID=123456789012345678           # …a private channel both bots can read
 //
 // -----------------------------------------------------------------------------
 // Install:  npm i discord.js@14 puppeteer cheerio better-sqlite3 express dotenv
+// Test:     npm test   (offline scraper fixtures, see test/)
 // -----------------------------------------------------------------------------
 
 import 'dotenv/config';
@@ -40,26 +81,51 @@ import {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
+  StringSelectMenuBuilder,
   PermissionsBitField,
   MessageFlags,
+  AttachmentBuilder,
   Partials, // for DMs
 } from 'discord.js';
 import puppeteer from 'puppeteer';
-import * as cheerio from 'cheerio';
 import Database from 'better-sqlite3';
+import { phaseLabel, orderProgress, progressBar } from './lib/scraper.js';
+import { formatMoney } from './lib/money.js';
+import { cartPreview, cartPages, formatCartItem, chargesLine } from './lib/cart.js';
+import { PROVIDERS, providerFor, providerById, parseProviderPage, parseProviderPayloads, providerPhase, providerNames, apiMatchAll } from './lib/providers/index.js';
+import { attachJsonCollector } from './lib/networkCapture.js';
+import { httpScrapeConfig, scrapeOverHttp, nextScrapePath } from './lib/httpScrape.js';
+import { captureReasons, isEmptyScrape, saveCapture, latestCapture } from './lib/capture.js';
+import { watchdogLimits, staleCheck } from './lib/watchdog.js';
+import { cadenceConfig, nextPollDelay } from './lib/cadence.js';
+import { parseEta, trackEta, minutesBetween } from './lib/eta.js';
+import { createJobsRouter, ApiError, bearerAuth } from './lib/api.js';
+import { createEventBus, createEventStreamHandler } from './lib/events.js';
+import { createWebhookDispatcher, WEBHOOK_EVENTS } from './lib/webhooks.js';
+import { createBridge } from './lib/bridge.js';
+import { createRegistry, classifyScrapeError, healthVerdict } from './lib/metrics.js';
+import { GUILD_SETTINGS, settingsDefaults, mergeSettings, parseSettingValue, formatSettingValue } from './lib/guildSettings.js';
+import { isTrackerStaff, canStartTracker, canControlTracker, canClaimDm } from './lib/permissions.js';
+import { SUBSCRIBER_LEVELS, DEFAULT_LEVEL, wantsNotice, parseDmCommand } from './lib/subscribers.js';
+import { mapConfig, shouldSnapshot, snapshotMap } from './lib/mapSnapshot.js';
 
 /* ─────────────── Config / utils ─────────────── */
-const BRAND = process.env.THANK_BRAND || '116 GAMER';
-const VOUCH_CHANNEL_ID = process.env.VOUCH_CHANNEL_ID || '1405983244096372839';
-const STORE_EMOJI = process.env.STORE_EMOJI || '🏬';
-const NOTIFY_ROLE_ID = process.env.NOTIFY_ROLE_ID || '1405978891666849812';
+const DEFAULT_SETTINGS = settingsDefaults(); // env fallbacks for guild_settings
 
 const POLL_INTERVAL_MS = Number(process.env.POLL_INTERVAL_MS || 60000);
+const SCRAPE_CONCURRENCY = Math.max(1, Number(process.env.SCRAPE_CONCURRENCY || 3));
 const SCRAPE_DELAY_MS = Number(process.env.SCRAPE_DELAY_MS || 2500);
 const PORT = Number(process.env.PORT || 3000);
 const DB_PATH = process.env.DB_PATH;
-const THEME = (process.env.THEME || 'modern').toLowerCase();
 const DEBUG = process.env.DEBUG === '1';
+const LATE_ALERT_MIN = Number(process.env.LATE_ALERT_MIN || 15);
+const CAPTURE_DIR = process.env.CAPTURE_DIR || null;
+const CAPTURE_SCREENSHOT = process.env.CAPTURE_SCREENSHOT === '1';
+const CAPTURE_KEEP = Number(process.env.CAPTURE_KEEP || 100);
+const CAPTURE_MIN_GAP_MS = 10 * 60_000; // per job, so a broken page doesn't fill the disk
+const MAP = mapConfig();
+const MAP_FILE = 'map.jpg';
+const HTTP_SCRAPE = httpScrapeConfig();
 
 function log(...a) { console.log(...a); }
 function dbg(...a) { if (DEBUG) console.log('[DEBUG]', ...a); }
@@ -83,6 +149,20 @@ function getGuildIconURL(guild) {
   try { return guild?.iconURL({ size: 128, extension: 'png' }) || null; } catch { return null; }
 }
 
+/* ─────────────── Metrics (GET /metrics) ─────────────── */
+const metrics = createRegistry({ prefix: 'tracker_' });
+const M = {
+  scrapeDuration: metrics.histogram('scrape_duration_seconds', 'Wall time of one order-page scrape'),
+  scrapeErrors: metrics.counter('scrape_errors_total', 'Failed or unusable scrapes by type'),
+  embedUpdates: metrics.counter('embed_updates_total', 'Tracker embed refreshes: edited, or skipped because the payload hash was unchanged'),
+  reposts: metrics.counter('reposts_total', 'Tracker messages re-posted because the original was gone (Discord 10008)'),
+  dmFailures: metrics.counter('dm_failures_total', 'Direct messages that could not be delivered'),
+  browserRestarts: metrics.counter('browser_restarts_total', 'Browser relaunches after a crash'),
+  scrapePath: metrics.counter('scrape_path_total', 'Scrape attempts by path (http fast path, browser) and outcome'),
+  scrapeSource: metrics.counter('scrape_results_total', 'Parsed scrapes by the path that produced them (json = captured API responses, html = fallback)'),
+};
+const recentScrapes = []; // last 20 outcomes (true = ok), for /health
+
 /* ─────────────── Ephemeral + ops helpers ─────────────── */
 async function ephemeralTo(i, content) {
   try {
@@ -92,10 +172,12 @@ async function ephemeralTo(i, content) {
     return await i.followUp({ content, flags: MessageFlags.Ephemeral });
   } catch { /* interaction may have expired */ }
 }
-async function notifyOps(text) {
+// With a guildId the guild's ops channel is used; otherwise (process-wide alerts) the env default.
+async function notifyOps(text, guildId = null) {
   try {
-    if (process.env.DISCORD_LOG_CHANNEL_ID) {
-      const ch = await client.channels.fetch(process.env.DISCORD_LOG_CHANNEL_ID).catch(() => null);
+    const opsChannelId = guildId ? guildSettings(guildId).ops_channel_id : DEFAULT_SETTINGS.ops_channel_id;
+    if (opsChannelId) {
+      const ch = await client.channels.fetch(opsChannelId).catch(() => null);
       if (ch?.isTextBased()) return ch.send(text).catch(() => {});
     }
     if (process.env.OWNER_USER_ID) {
@@ -108,25 +190,11 @@ async function dmRequester(userId, text) {
   try {
     if (!userId) return;
     const user = await client.users.fetch(userId).catch(() => null);
-    if (!user) return;
-    await user.send(text).catch(() => {});
+    if (!user) { M.dmFailures.inc(); return; }
+    await user.send(text).catch(() => { M.dmFailures.inc(); });
   } catch {}
 }
 
-/* ─────────────── Bridge (notify 116-bot via channel message) ─────────────── */
-const BRIDGE_SECRET = process.env.BRIDGE_SECRET; // must match 116-bot
-
-async function notifyCompletedInChannel(client, channelId, payload) {
-  // payload: { userId, orderId, total, secret }
-  try {
-    const ch = await client.channels.fetch(channelId).catch(() => null);
-    if (!ch || !ch.isTextBased?.()) throw new Error('Bridge channel not text-based or not found');
-    await ch.send('!completed ' + JSON.stringify(payload));
-  } catch (e) {
-    err('bridge notify failed:', e?.message || e);
-  }
-}
-
 /* ─────────────── DB (SQLite, source of truth) ─────────────── */
 if (!DB_PATH) {
   console.error('❌ DB_PATH is required (use /data/tracker.db on Railway).');
@@ -154,12 +222,91 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_jobs_channel ON jobs(channel_id);
   CREATE INDEX IF NOT EXISTS idx_jobs_url ON jobs(url);
 `);
-// --- lightweight migration for dm_user_id (persists DM subscription) ---
-try {
-  const cols = db.prepare('PRAGMA table_info(jobs)').all();
-  const hasDm = cols.some(c => c.name === 'dm_user_id');
-  if (!hasDm) db.exec('ALTER TABLE jobs ADD COLUMN dm_user_id TEXT');
-} catch {}
+// --- lightweight migrations (add columns missing from older DBs) ---
+function ensureColumns(table, defs) {
+  try {
+    const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+    for (const [name, type] of Object.entries(defs)) {
+      if (!cols.some(c => c.name === name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  } catch {}
+}
+ensureColumns('jobs', {
+  dm_user_id: 'TEXT', // legacy single DM subscriber (migrated into job_subscribers)
+  phase_log: 'TEXT',  // JSON [{ phase, at }] — every transition classifyPhase saw
+  store: 'TEXT',      // last scraped store name
+  cart: 'TEXT',       // JSON array of last scraped cart lines
+  phase_since: 'TEXT',        // when last_phase was entered (watchdog clock)
+  error_streak: 'INTEGER',    // consecutive failed scrapes
+  stale_warned_at: 'TEXT',    // set once the stale warning went out
+  next_poll_at: 'TEXT',       // adaptive cadence: when the scheduler should scrape next
+  eta_at: 'TEXT',             // latest parsed ETA
+  eta_first_at: 'TEXT',       // first parsed ETA (lateness baseline)
+  eta_history: 'TEXT',        // JSON [{ at, eta }] — every ETA change seen
+  late_alerted_at: 'TEXT',    // set once the lateness alert went out
+  last_scrape: 'TEXT',        // JSON of the latest successful scrape (served by the REST API)
+  last_scrape_at: 'TEXT',
+  map_image: 'BLOB',          // latest courier map snapshot (JPEG, MAP_MAX_KB budget)
+  map_hash: 'TEXT',           // sha1 of map_image — unchanged shots are not re-uploaded
+  map_at: 'TEXT',
+  scrape_path: 'TEXT',        // 'http' (fast path works) | 'browser' (page needs Chromium) | NULL (not decided yet)
+});
+
+// Finished jobs (delivered / aborted) are moved here instead of being dropped.
+// final_status: delivered, cancelled (the order was), untracked (staff stop), stale, login_required, channel_gone.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS job_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id INTEGER,
+    url TEXT NOT NULL,
+    guild_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    message_id TEXT NOT NULL,
+    assignee_user_id TEXT,
+    requester_user_id TEXT,
+    dm_user_id TEXT,
+    customer_name TEXT,
+    store TEXT,
+    cart TEXT,
+    phase_log TEXT,
+    final_status TEXT NOT NULL,
+    delivered_at TEXT,
+    created_at TEXT NOT NULL,
+    finished_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_history_guild_finished ON job_history(guild_id, finished_at);
+`);
+ensureColumns('job_history', {
+  eta_first_at: 'TEXT',
+  eta_history: 'TEXT',
+  subscribers: 'TEXT', // JSON array of DM subscriber user IDs
+});
+
+// DM subscribers: any number per job, each with a notice level (lib/subscribers.js) and a mute flag.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS job_subscribers (
+    job_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    level TEXT NOT NULL DEFAULT 'all',
+    muted INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (job_id, user_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_subscribers_user ON job_subscribers(user_id);
+  INSERT OR IGNORE INTO job_subscribers (job_id, user_id, level, muted, created_at)
+    SELECT id, dm_user_id, 'all', 0, updated_at FROM jobs WHERE dm_user_id IS NOT NULL;
+  UPDATE jobs SET dm_user_id = NULL WHERE dm_user_id IS NOT NULL;
+`);
+
+// Per-guild overrides of the env defaults (NULL column = use default), edited with /config.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS guild_settings (
+    guild_id TEXT PRIMARY KEY,
+    updated_by TEXT,
+    updated_at TEXT NOT NULL
+  );
+`);
+ensureColumns('guild_settings', Object.fromEntries(Object.keys(GUILD_SETTINGS).map(k => [k, 'TEXT'])));
 
 const DB = {
   insert(job) {
@@ -169,14 +316,12 @@ const DB = {
         url, guild_id, channel_id, message_id,
         assignee_user_id, requester_user_id, static_name,
         last_phase, last_hash, last_error_at,
-        dm_user_id,
         created_at, updated_at
       )
       VALUES (
         @url, @guild_id, @channel_id, @message_id,
         @assignee_user_id, @requester_user_id, @static_name,
         @last_phase, @last_hash, @last_error_at,
-        @dm_user_id,
         @created_at, @updated_at
       )
     `);
@@ -199,40 +344,162 @@ const DB = {
   getByMessageId(message_id) {
     return db.prepare('SELECT * FROM jobs WHERE message_id = ?').get(message_id);
   },
+  getByChannelId(channel_id) {
+    return db.prepare('SELECT * FROM jobs WHERE channel_id = ? ORDER BY id').all(channel_id);
+  },
+  getById(id) {
+    return db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+  },
+  getByGuildId(guild_id) {
+    return db.prepare('SELECT * FROM jobs WHERE guild_id = ? ORDER BY id').all(guild_id);
+  },
+  // Move a job row into job_history with its final status (atomic).
+  archiveByMessageId(message_id, final_status) {
+    const job = this.getByMessageId(message_id);
+    if (!job) return null;
+    const now = nowIso();
+    const row = {
+      job_id: job.id,
+      url: job.url,
+      guild_id: job.guild_id,
+      channel_id: job.channel_id,
+      message_id: job.message_id,
+      assignee_user_id: job.assignee_user_id,
+      requester_user_id: job.requester_user_id,
+      dm_user_id: job.dm_user_id,
+      subscribers: JSON.stringify(this.getSubscribers(job.id).map(s => s.user_id)),
+      customer_name: job.static_name,
+      store: job.store,
+      cart: job.cart,
+      phase_log: job.phase_log,
+      eta_first_at: job.eta_first_at,
+      eta_history: job.eta_history,
+      final_status,
+      delivered_at: final_status === 'delivered' ? now : null,
+      created_at: job.created_at,
+      finished_at: now,
+    };
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO job_history (${Object.keys(row).join(', ')})
+        VALUES (${Object.keys(row).map(k => '@' + k).join(', ')})
+      `).run(row);
+      this.deleteByMessageId(message_id);
+      db.prepare('DELETE FROM job_subscribers WHERE job_id = ?').run(job.id);
+    })();
+    return row;
+  },
+  // filters: { guild_id, user_id?, store?, from?, to?, limit? } — from/to are ISO strings
+  searchHistory({ guild_id, user_id = null, store = null, from = null, to = null, limit = 15 }) {
+    const where = ['guild_id = @guild_id'];
+    if (user_id) {
+      where.push(`(requester_user_id = @user_id OR assignee_user_id = @user_id OR dm_user_id = @user_id
+        OR subscribers LIKE '%"' || @user_id || '"%')`);
+    }
+    if (store) where.push("store LIKE '%' || @store || '%'");
+    if (from) where.push('finished_at >= @from');
+    if (to) where.push('finished_at < @to');
+    return db.prepare(`SELECT * FROM job_history WHERE ${where.join(' AND ')} ORDER BY finished_at DESC LIMIT @limit`)
+      .all({ guild_id, user_id, store, from, to, limit });
+  },
+  getHistoryById(id) {
+    return db.prepare('SELECT * FROM job_history WHERE id = ?').get(id);
+  },
+  getSubscribers(job_id) {
+    return db.prepare('SELECT * FROM job_subscribers WHERE job_id = ? ORDER BY created_at').all(job_id);
+  },
+  getSubscriber(job_id, user_id) {
+    return db.prepare('SELECT * FROM job_subscribers WHERE job_id = ? AND user_id = ?').get(job_id, user_id);
+  },
+  // (re)subscribing unmutes and keeps an existing level unless one is given
+  addSubscriber(job_id, user_id, level = null) {
+    db.prepare(`
+      INSERT INTO job_subscribers (job_id, user_id, level, muted, created_at) VALUES (@job_id, @user_id, @lvl, 0, @now)
+      ON CONFLICT(job_id, user_id) DO UPDATE SET muted = 0, level = COALESCE(@level, level)
+    `).run({ job_id, user_id, level, lvl: level || DEFAULT_LEVEL, now: nowIso() });
+  },
+  updateSubscriber(job_id, user_id, patch) {
+    const keys = Object.keys(patch).filter(k => k === 'level' || k === 'muted');
+    if (!keys.length) return 0;
+    return db.prepare(`UPDATE job_subscribers SET ${keys.map(k => `${k}=@${k}`).join(', ')} WHERE job_id=@job_id AND user_id=@user_id`)
+      .run({ ...patch, job_id, user_id }).changes;
+  },
+  removeSubscriber(job_id, user_id) {
+    return db.prepare('DELETE FROM job_subscribers WHERE job_id = ? AND user_id = ?').run(job_id, user_id).changes;
+  },
+  clearSubscribers(job_id) {
+    db.prepare('DELETE FROM job_subscribers WHERE job_id = ?').run(job_id);
+  },
+  // DM "mute"/"unmute": every active order the user follows
+  setMutedForUser(user_id, muted) {
+    return db.prepare('UPDATE job_subscribers SET muted = ? WHERE user_id = ?').run(muted ? 1 : 0, user_id).changes;
+  },
+  getGuildSettings(guild_id) {
+    return db.prepare('SELECT * FROM guild_settings WHERE guild_id = ?').get(guild_id);
+  },
+  // value null → back to the env default
+  setGuildSetting(guild_id, key, value, updated_by) {
+    if (!GUILD_SETTINGS[key]) throw new Error(`Unknown setting ${key}`);
+    db.prepare(`
+      INSERT INTO guild_settings (guild_id, ${key}, updated_by, updated_at) VALUES (@guild_id, @value, @updated_by, @now)
+      ON CONFLICT(guild_id) DO UPDATE SET ${key} = @value, updated_by = @updated_by, updated_at = @now
+    `).run({ guild_id, value, updated_by, now: nowIso() });
+  },
 };
+const parseJSON = (s, fallback) => { try { return s ? JSON.parse(s) : fallback; } catch { return fallback; } };
+
+// Effective settings for a guild (env defaults + guild_settings row), cached until /config changes them.
+const settingsCache = new Map();
+function guildSettings(guildId) {
+  if (!guildId) return DEFAULT_SETTINGS;
+  if (!settingsCache.has(guildId)) settingsCache.set(guildId, mergeSettings(DEFAULT_SETTINGS, DB.getGuildSettings(guildId)));
+  return settingsCache.get(guildId);
+}
 
 /* ─────────────── Puppeteer (Railway-friendly) ─────────────── */
 let _browser = null;
+let _launching = null; // in-flight launch, shared by concurrent callers
+let shuttingDown = false;
+const browserHealth = { down: false, downSince: null, restarts: 0, lastReason: null };
 async function getBrowser() {
   if (_browser) return _browser;
+  if (_launching) return _launching;
   const execPath = process.env.CHROME_PATH || undefined; // set in Dockerfile
   log('🟡 Launching Puppeteer…', execPath ? '(system chromium)' : '(bundled)');
-  _browser = await puppeteer.launch({
+  _launching = puppeteer.launch({
     headless: 'new',
     executablePath: execPath, // Railway Docker uses system chromium
     args: [
       '--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage',
-      '--disable-gpu', '--no-zygote', '--single-process',
+      '--disable-gpu', '--no-zygote',
     ],
-  });
-  log('✅ Puppeteer launched');
-  return _browser;
+  }).then((b) => {
+    b.on('disconnected', () => onBrowserDisconnected(b));
+    _browser = b;
+    log('✅ Puppeteer launched');
+    return b;
+  }).finally(() => { _launching = null; });
+  return _launching;
 }
 async function prepPage(page) {
   try {
     await page.setRequestInterception(true);
     page.on('request', (req) => {
       const t = req.resourceType();
-      if (t === 'image' || t === 'media' || t === 'font') req.abort();
+      // map snapshots need the tile images
+      if ((t === 'image' && !MAP.enabled) || t === 'media' || t === 'font') req.abort();
       else req.continue();
     });
   } catch {}
   page.setDefaultNavigationTimeout(60_000);
   page.setDefaultTimeout(30_000);
 }
+// page -> JSON API responses it received (providers with an apiMatch read order data from these)
+const pageCollectors = new WeakMap();
 async function newTrackedPage(browser) {
   const page = await browser.newPage();
   await prepPage(page);
+  pageCollectors.set(page, attachJsonCollector(page, { match: apiMatchAll() }));
   await page.setUserAgent(
     'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36'
   );
@@ -250,23 +517,46 @@ async function gotoIfNeeded(page, url) {
 }
 
 /* ─────────────── Helpers ─────────────── */
-// DM UPDATES: control row with link + DM toggle (stateful)
-const controlsRow = (link, dmOn = false) =>
-  new ActionRowBuilder().addComponents(
+// DM UPDATES: control row with link + subscribe/preferences button (shows the subscriber count)
+// `job` only needs `url`; without one the button opens the provider's home page.
+const controlsRow = (job, subscribers = 0, { stale = false, fullCart = false } = {}) => {
+  const row = new ActionRowBuilder().addComponents(
     new ButtonBuilder()
       .setStyle(ButtonStyle.Link)
-      .setURL(link || 'https://www.ubereats.com/')
+      .setURL(job.url || jobProvider(job).home)
       .setLabel('Track Order'),
     new ButtonBuilder()
-      .setStyle(dmOn ? ButtonStyle.Success : ButtonStyle.Secondary)
+      .setStyle(subscribers ? ButtonStyle.Success : ButtonStyle.Secondary)
       .setCustomId('dm-updates')
-      .setLabel(dmOn ? 'DM Updates ON' : 'Enable DM Updates')
+      .setLabel(subscribers ? `DM Updates (${subscribers})` : 'Enable DM Updates')
   );
+  // Cart too long for the embed field: open the paginated copy
+  if (fullCart) {
+    row.addComponents(
+      new ButtonBuilder()
+        .setStyle(ButtonStyle.Secondary)
+        .setCustomId('view-cart')
+        .setLabel('View full cart')
+    );
+  }
+  // Stale watchdog: let staff extend the tracker before it is stopped
+  if (stale) {
+    row.addComponents(
+      new ButtonBuilder()
+        .setStyle(ButtonStyle.Primary)
+        .setCustomId('keep-tracking')
+        .setLabel('Keep tracking')
+    );
+  }
+  return row;
+};
 
-async function resolveChannelAssignee(channel, roleId) {
+async function resolveChannelAssignee(channel) {
   try {
     const guild = channel.guild;
     if (!guild) return null;
+    const roleId = guildSettings(guild.id).notify_role_id;
+    if (!roleId) return null;
     await guild.members.fetch({ withPresences: false }).catch(() => {});
     const role = await guild.roles.fetch(roleId).catch(() => null);
     if (!role) return null;
@@ -287,10 +577,6 @@ async function resolveChannelAssignee(channel, roleId) {
     return null;
   }
 }
-function extractText($, el) {
-  const t = $(el).text().replace(/\s+/g, ' ').trim();
-  return t || null;
-}
 const sanitize = (val, max = 1024) => {
   if (!val) return null;
   let s = String(val)
@@ -304,165 +590,31 @@ const sanitize = (val, max = 1024) => {
 const sanitizeName = (v) => sanitize(v, 256);
 const sanitizeValue = (v) => sanitize(v, 1024);
 
-/* ─────────────── Scraping (Cheerio) ─────────────── */
-function scrapeFromHTML(html) {
-  const $ = cheerio.load(html);
-  const textAll = $.root().text().replace(/\s+/g, ' ').trim();
-
-  // STATUS + ETA
-  let statusLine = null, etaLine = null, statusText = 'Unknown status';
-  const sticky = $('[data-testid="active-order-sticky-eta"]').first();
-  if (sticky.length) {
-    const lines = sticky.find('div').map((_, d) => extractText($, d)).get().filter(Boolean);
-    statusLine = lines[0] || null;
-    etaLine = lines.find((t) => /estimated/i.test(t)) || null;
-    statusText = [statusLine, etaLine].filter(Boolean).join(' ');
-  }
-
-  // STORE: "From <store>"
-  let store = null;
-  const fromNodes = $('div,span,p')
-    .filter((_, el) => {
-      const t = extractText($, el);
-      return t && /^From\s+/.test(t) && t.length <= 80;
-    })
-    .map((_, el) => extractText($, el)).get();
-  if (fromNodes.length) store = fromNodes[0].replace(/^From\s+/i, '').trim();
-
-  // NAME from status line
-  let name = null;
-  const nm = (statusLine || statusText || '').match(/(?:preparing|picking up|heading)\s+(.+?)['’]s\s+(?:order|way)/i);
-  if (nm) name = nm[1];
-
-  // ADDRESS from container-0 only
-  let address = null;
-  const c0 = $('[data-testid="delivery-text-container-0"]').first();
-  if (c0.length) {
-    const leaves = c0.find('div').filter((_, d) => $(d).children().length === 0);
-    const addrRx = /\d{2,6}[^,\n]+,\s*[A-Za-z .'-]+,\s*[A-Z]{2}\s+\d{5}(?:-\d{4})?(?:,\s*(US|USA))?/i;
-    let hit = null;
-    leaves.each((_, d) => {
-      const t = extractText($, d);
-      if (t && addrRx.test(t)) { hit = t; return false; }
-    });
-    if (hit) address = hit;
-    else {
-      const raw = extractText($, c0);
-      const m = raw && raw.match(addrRx);
-      if (m) address = m[0];
-    }
-  }
-
-  // UNIT (apt/suite/floor)
-  let unit = null;
-  const c1 = $('[data-testid="delivery-text-container-1"]').first();
-  if (c1.length) {
-    const raw = extractText($, c1);
-    const m = raw && raw.match(/(apt|apartment|suite|ste|floor|fl|unit|#)\s*[:\-]?\s*([A-Za-z0-9\- .#]+)$/i);
-    if (m) {
-      const label = m[1]; const value = m[2];
-      unit = `${label.charAt(0).toUpperCase() + label.slice(1)}: ${value.trim()}`;
-    } else {
-      const leaves = c1.find('div').filter((_, d) => $(d).children().length === 0);
-      leaves.each((_, d) => {
-        const t = extractText($, d);
-        if (t && /^(apt|apartment|suite|ste|floor|fl|unit|#)\b/i.test(t)) { unit = t; return false; }
-      });
-    }
-  }
-
-  // DELIVERY TYPE + NOTE (NOTE only from container-1)
-  let delivery_type = null;
-  let delivery_note_typed = null;
-
-  const TYPE_RX = /(leave (?:it )?at (?:my )?door|hand it to me|meet (?:at )?(?:the |my )?door|meet outside|deliver (?:to|at) (?:my )?door)/i;
-  const OPTION_RX = /\b(standard|priority|rush|asap|express|economy|saver)\b/i;
-  const LABEL_RX = /^(address|delivery option|delivery options)$/i;
-  const ADDR_RX = /\d{2,6}[^,\n]+,\s*[A-Za-z .'-]+,\s*[A-Z]{2}\s+\d{5}(?:-\d{4})?(?:,\s*(US|USA))?/i;
-  const UNIT_HINT_RX = /^(apt|apartment|suite|ste|floor|fl|unit|#)\b/i;
-
-  if (c1.length) {
-    const leaves = c1.find('div').filter((_, d) => $(d).children().length === 0).get();
-    for (let i = leaves.length - 1; i >= 0; i--) {
-      const t = extractText($, leaves[i]);
-      if (!t) continue;
-      if (LABEL_RX.test(t)) continue;
-      if (TYPE_RX.test(t)) continue;
-      if (OPTION_RX.test(t)) continue;
-      if (ADDR_RX.test(t)) continue;
-      if (UNIT_HINT_RX.test(t)) continue;
-      delivery_note_typed = t;
-      break;
-    }
-  }
-  const scanType = (sel) => {
-    const cont = $(sel).first();
-    if (!cont.length) return { type: null, opt: null };
-    let typeLbl = null, optionLbl = null;
-    cont.find('div').each((_, d) => {
-      const t = extractText($, d); if (!t) return;
-      if (!typeLbl && TYPE_RX.test(t)) { typeLbl = t.match(TYPE_RX)[0]; return; }
-      if (!optionLbl && OPTION_RX.test(t)) {
-        const m = t.match(OPTION_RX);
-        if (m) optionLbl = m[1].charAt(0).toUpperCase() + m[1].slice(1).toLowerCase();
-      }
-    });
-    return { type: typeLbl, opt: optionLbl };
-  };
-  const t1 = scanType('[data-testid="delivery-text-container-1"]');
-  const t2 = scanType('[data-testid="delivery-text-container-2"]');
-  const typeLbl = t1.type || t2.type;
-  const optLbl  = t1.opt  || t2.opt;
-  delivery_type = [typeLbl, optLbl].filter(Boolean).join(' • ') || null;
-  if (!delivery_type) {
-    const mAny = textAll.match(TYPE_RX);
-    if (mAny) delivery_type = mAny[0];
-  }
-
-  // CART
-  const cartSel = '[data-testid="order-summary-card-item"], [data-testid*="order-summary-card-item"]';
-  const cart = [];
-  $(cartSel).each((_, item) => {
-    const $item = $(item);
-    const nameDiv = $item.find('div.bo.bp.bq.br').first();
-    const name = extractText($, nameDiv.length ? nameDiv : item);
-    const det  = extractText($, $item.find('div.bo.cn.bq.dq.g6, div.bo.cn.bq.dq.g7').first()) || '';
-    const line = (det ? `${name} — ${det}` : name)?.replace(/\s{2,}/g, ' ').trim();
-    if (line) cart.push(line);
-  });
-
-  // Delivered?
-  let delivered = /\b(delivered|order arrived)\b/i.test(statusText);
-  if (!delivered) {
-    const enjoy = /Enjoy your order!/i.test(textAll);
-    const thanks = /Thanks for using Uber Eats\./i.test(textAll);
-    const backBtn = $('[data-testid="back-to-restaurants-primary-action"]').length > 0;
-    if ((enjoy && thanks) || backBtn) delivered = true;
-  }
+/* ─────────────── Scraping (Puppeteer → lib/providers/) ─────────────── */
+// Rows from before DoorDash/Grubhub support are all Uber Eats links.
+const jobProvider = (job) => providerFor(job.url) || providerById('ubereats');
+const jobPhase = (job, data) => providerPhase(jobProvider(job), data);
+// Short label for a tracking link: its order id segment ("…/share/<id>/track" → "<id>")
+const orderRef = (url) => url.split(/[?#]/)[0].split('/').filter((p) => p && !/^track(?:ing)?$/i.test(p)).pop();
 
-  return {
-    statusText,
-    statusLine,
-    etaLine,
-    store,
-    name,
-    address,
-    unit,
-    delivery_type,
-    delivery_note_typed,
-    cart: cart.slice(0, 12),
-    delivered,
-  };
-}
 async function scrapeOrderPage(page, url) {
+  const provider = providerFor(url) || providerById('ubereats');
   const isDetachErr = (e) => e && /detached Frame/i.test(String(e.message || e));
+  const collector = pageCollectors.get(page);
   for (let attempt = 0; attempt < 2; attempt++) {
     try {
+      const since = Date.now();
       await gotoIfNeeded(page, url);
-      if (/auth\.uber\.com/i.test(page.url())) return { requiresLogin: true };
+      if (provider.isLoginRedirect(page.url())) return { requiresLogin: true };
       await sleep(SCRAPE_DELAY_MS);
+      // Preferred: the order JSON the page fetched (on load, or its own polling since the last visit)
+      if (collector && provider.apiMatch) {
+        const bodies = (await collector.since(since)).filter((e) => provider.apiMatch.test(e.url)).map((e) => e.body);
+        const fromJson = parseProviderPayloads(provider, bodies, { url });
+        if (fromJson) return fromJson;
+      }
       const html = await page.content();
-      return scrapeFromHTML(html);
+      return parseProviderPage(provider, html, { url: page.url() });
     } catch (e) {
       if (isDetachErr(e) && attempt === 0) { await sleep(400); continue; }
       throw e;
@@ -471,60 +623,126 @@ async function scrapeOrderPage(page, url) {
   throw new Error('Unknown scrape error');
 }
 
-/* ─────────────── Phase / Embeds ─────────────── */
-function classifyPhase(statusLineRaw = '') {
-  const s = (statusLineRaw || '').toLowerCase();
-  if (/received|preparing|confirm(ed|ing)?|waiting for the store|getting (the )?order ready/.test(s)) return 'PREPARING';
-  if (/(heading .* way|on the way|head(?:ing)? your way)/i.test(s)) return 'HEADING';
-  if (/(almost there|nearby|here|arriving)/i.test(s)) return 'ALMOST_HERE';
-  if (/(delivered|order arrived)/i.test(s)) return 'DELIVERED';
-  return null;
+// Capture mode: keep the raw page when the parse came back incomplete.
+const lastCaptureAt = new Map(); // job id -> epoch ms
+// `page` on the browser path (HTML + optional screenshot); the fetched `html` on the HTTP path.
+async function maybeCapture(job, data, { page = null, html = null } = {}) {
+  if (!CAPTURE_DIR) return;
+  const reasons = captureReasons(data, (d) => jobPhase(job, d));
+  if (!reasons.length) return;
+  if (Date.now() - (lastCaptureAt.get(job.id) || 0) < CAPTURE_MIN_GAP_MS) return;
+  lastCaptureAt.set(job.id, Date.now());
+  try {
+    if (page) html = await page.content();
+    const screenshot = page && CAPTURE_SCREENSHOT ? await page.screenshot({ fullPage: true, type: 'png' }).catch(() => null) : null;
+    const stem = await saveCapture(CAPTURE_DIR, { jobId: job.id, url: job.url, html, screenshot, data, reasons, keep: CAPTURE_KEEP });
+    log('📸 capture saved', { stem, reasons });
+  } catch (e) {
+    warn('capture failed:', e?.message || e);
+  }
+}
+
+/* ─────────────── Embeds ─────────────── */
+// "Marco · Silver Toyota Corolla · `7XYZ123`" — any part may be missing
+function courierLine(courier) {
+  if (!courier) return null;
+  const parts = [sanitize(courier.name, 40), sanitize(courier.vehicle, 60)].filter(Boolean);
+  const plate = sanitize(courier.plate, 16);
+  if (plate) parts.push('`' + plate.replace(/`/g, '') + '`');
+  return parts.join(' · ') || null;
+}
+const stopsLine = (n) => (n > 0 ? `${n} stop${n === 1 ? '' : 's'} before yours` : null);
+function progressLine(progress) {
+  const bar = progressBar(progress);
+  return bar && `${bar}${progress.label ? ` — ${sanitize(progress.label, 60)}` : ''}`;
 }
-function buildActiveEmbed(data, link = null, { serverIconURL = null } = {}) {
+
+function buildActiveEmbed(data, link = null, { serverIconURL = null, phase = null, stale = null, settings = DEFAULT_SETTINGS, mapImage = false } = {}) {
   const fields = [];
   const top = sanitizeValue(data.statusLine || data.statusText || 'Unknown status');
-  const eta = data.etaLine ? `\n*${sanitizeValue(data.etaLine)}*` : '';
+  // Parsed ETA renders as Discord timestamps so it counts down on its own; raw text otherwise
+  const ts = (iso, style) => `<t:${Math.floor(Date.parse(iso) / 1000)}:${style}>`;
+  let eta = data.etaAt ? `\n*Arriving ${ts(data.etaAt, 't')} (${ts(data.etaAt, 'R')})*`
+    : data.etaLine ? `\n*${sanitizeValue(data.etaLine)}*` : '';
+  if (data.etaAt && data.etaFirstAt && minutesBetween(data.etaFirstAt, data.etaAt) >= 5) {
+    eta += `\n-# First estimate was ${ts(data.etaFirstAt, 't')}`;
+  }
   fields.push({ name: '⏳ Order Status', value: `${top}${eta}`.trim(), inline: false });
 
+  // Problem banners go right under the status so staff see them first
+  const issueSafe = phase === 'ISSUE' && sanitizeValue(data.issue);
+  if (issueSafe) fields.push({ name: '⚠️ Delivery Issue', value: issueSafe, inline: false });
+  const courierSafe = phase === 'COURIER_REASSIGNED' && sanitizeValue(data.reassigned);
+  if (courierSafe) fields.push({ name: '🔄 Courier Update', value: courierSafe, inline: false });
+
+  const progressSafe = progressLine(orderProgress(data, phase));
+  if (progressSafe) fields.push({ name: '📶 Progress', value: progressSafe, inline: false });
+
+  // stale: { since, stopAt, reason } from the watchdog — wording kept stable so the hash doesn't churn
+  if (stale) {
+    const why = stale.since ? `No status change since <t:${Math.floor(new Date(stale.since).getTime() / 1000)}:R>.` : `${stale.reason}.`;
+    const when = stale.stopAt ? `Tracking stops <t:${Math.floor(new Date(stale.stopAt).getTime() / 1000)}:R>` : 'Tracking stops if this continues';
+    fields.push({ name: '💤 Stale Tracker', value: `${why} ${when} unless someone presses **Keep tracking**.`, inline: false });
+  }
+
   const storeSafe = sanitizeValue(data.store);
-  if (storeSafe) fields.push({ name: `${STORE_EMOJI} Store`, value: storeSafe, inline: true });
+  if (storeSafe) fields.push({ name: `${settings.store_emoji} Store`, value: storeSafe, inline: true });
 
   const nameSafe = sanitizeValue(data.name);
   if (nameSafe) fields.push({ name: '👤 Name', value: nameSafe, inline: true });
 
+  const courierInfo = courierLine(data.courier);
+  if (courierInfo) fields.push({ name: '🚗 Courier', value: courierInfo, inline: true });
+
+  const stopsSafe = stopsLine(data.stops_before);
+  if (stopsSafe) fields.push({ name: '📦 Batched Order', value: stopsSafe, inline: true });
+
   const typeSafe = sanitizeValue(data.delivery_type);
   if (typeSafe) fields.push({ name: 'ℹ️ Delivery Type', value: typeSafe, inline: true });
 
   const noteSafe = sanitizeValue(data.delivery_note_typed);
   if (noteSafe) fields.push({ name: '📝 Delivery Note', value: noteSafe, inline: true });
 
+  const totalSafe = formatMoney(data.total, data.currency);
+  if (totalSafe) fields.push({ name: '💵 Total', value: totalSafe, inline: true });
+
   if (data.address) {
     const addrBlock = data.unit ? `${data.address}\n${data.unit}` : data.address;
     const addrVal = sanitizeValue(addrBlock, 1000);
     if (addrVal) fields.push({ name: '📍 Delivery Address', value: '```' + addrVal + '```', inline: false });
   }
 
-  if (data.cart?.length) {
+  // Structured items when the provider gave us some; long carts end in "…and N more" (see View full cart)
+  const cartName = settings.theme === 'classic' ? '🛒 Order Summary' : '🛒 Cart';
+  if (data.items?.length) {
+    const { text } = cartPreview(data.items, data.currency);
+    fields.push({ name: cartName, value: text, inline: false });
+    const charges = chargesLine(data);
+    if (charges) fields.push({ name: '🧾 Charges', value: charges, inline: false });
+  } else if (data.cart?.length) {
     const items = data.cart
       .map((t) => sanitizeValue(t, 110)).filter(Boolean)
       .map((x) => '• ' + x).join('\n');
-    if (items) fields.push({ name: THEME === 'classic' ? '🛒 Order Summary' : '🛒 Cart', value: items, inline: false });
+    if (items) fields.push({ name: cartName, value: items, inline: false });
   }
 
   const embed = new EmbedBuilder()
-    .setColor(0x2ecc71)
-    .setTitle('✅ Tracking Information')
+    .setColor(stale ? 0x95a5a6 : phase === 'ISSUE' ? 0xe67e22 : phase === 'COURIER_REASSIGNED' ? 0x3498db : 0x2ecc71)
+    .setTitle(phase === 'ISSUE' ? '⚠️ Tracking Information — Delayed' : '✅ Tracking Information')
     .setURL(link || null)
     .addFields(fields)
-    .setFooter({ text: `Updated by ${BRAND}` })
+    .setFooter({ text: `Updated by ${settings.brand}` })
     .setTimestamp(new Date());
 
   if (serverIconURL) embed.setThumbnail(serverIconURL);
+  if (mapImage) embed.setImage(`attachment://${MAP_FILE}`); // file is uploaded once per new shot
   return embed;
 }
-function buildDeliveredEmbed(data, link = null, { serverIconURL = null } = {}) {
-  const thanks = `Thanks for ordering with **${BRAND}**! Hope you enjoyed your food and the experience.`;
-  const vouch = `If you’re satisfied with your order, drop a vouch in <#${VOUCH_CHANNEL_ID}> for points towards a reward!`;
+function buildDeliveredEmbed(data, link = null, { serverIconURL = null, settings = DEFAULT_SETTINGS } = {}) {
+  const thanks = `Thanks for ordering with **${settings.brand}**! Hope you enjoyed your food and the experience.`;
+  const vouch = settings.vouch_channel_id
+    ? `If you’re satisfied with your order, drop a vouch in <#${settings.vouch_channel_id}> for points towards a reward!`
+    : null;
   const embed = new EmbedBuilder()
     .setColor(0x22aa66)
     .setTitle('✅ Order Arrived!')
@@ -532,26 +750,262 @@ function buildDeliveredEmbed(data, link = null, { serverIconURL = null } = {}) {
     .addFields(
       { name: '📦 Order Status', value: 'Enjoy your order!', inline: false },
       { name: '🙏 Thank You!', value: thanks, inline: false },
-      { name: '📝 Leave a Vouch', value: vouch, inline: false },
+      ...(vouch ? [{ name: '📝 Leave a Vouch', value: vouch, inline: false }] : []),
     )
-    .setFooter({ text: `Updated by ${BRAND}` })
+    .setFooter({ text: `Updated by ${settings.brand}` })
+    .setTimestamp(new Date());
+  if (serverIconURL) embed.setThumbnail(serverIconURL);
+  return embed;
+}
+function buildCancelledEmbed(data, link = null, { serverIconURL = null, settings = DEFAULT_SETTINGS } = {}) {
+  const fields = [
+    { name: '📦 Order Status', value: sanitizeValue(data.statusLine) || 'This order was cancelled.', inline: false },
+  ];
+  const storeSafe = sanitizeValue(data.store);
+  if (storeSafe) fields.push({ name: `${settings.store_emoji} Store`, value: storeSafe, inline: true });
+  fields.push({ name: '🛟 Next Steps', value: 'A staff member will follow up in this ticket.', inline: false });
+  const embed = new EmbedBuilder()
+    .setColor(0xe74c3c)
+    .setTitle('❌ Order Cancelled')
+    .setURL(link || null)
+    .addFields(fields)
+    .setFooter({ text: `Updated by ${settings.brand}` })
     .setTimestamp(new Date());
   if (serverIconURL) embed.setThumbnail(serverIconURL);
   return embed;
 }
-const linkRow = (link, delivered = false) =>
+const linkRow = (job, delivered = false) =>
   new ActionRowBuilder().addComponents(
     new ButtonBuilder()
       .setStyle(ButtonStyle.Link)
-      .setURL(link || 'https://www.ubereats.com/')
+      .setURL(job.url || jobProvider(job).home)
       .setLabel(delivered ? 'Order Link' : 'Track Order')
   );
 
+// "View full cart": one page of items per embed; Prev/Next custom ids carry the job id and target page.
+const cartOverflows = (data) => !!data?.items?.length && cartPreview(data.items, data.currency).hidden > 0;
+function cartPanel(job, data, page = 0) {
+  const pages = cartPages(data.items, data.currency);
+  const p = Math.min(Math.max(page, 0), pages.length - 1);
+  const total = formatMoney(data.total, data.currency);
+  const receipt = [chargesLine(data), total && `**Total ${total}**`].filter(Boolean).join('\n');
+  const lastPage = p === pages.length - 1;
+  const embed = new EmbedBuilder()
+    .setColor(0x2ecc71)
+    .setTitle(`🛒 Cart — ${sanitize(data.store, 240) || orderRef(job.url)}`)
+    .setURL(job.url)
+    .setDescription([pages[p].map((it) => formatCartItem(it, data.currency)).join('\n'), lastPage ? receipt : null].filter(Boolean).join('\n\n'))
+    .setFooter({ text: `Page ${p + 1} of ${pages.length} · ${data.items.length} item(s)` });
+  const nav = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setStyle(ButtonStyle.Secondary).setCustomId(`cart-page:${job.id}:${p - 1}`).setLabel('◀ Prev').setDisabled(p === 0),
+    new ButtonBuilder().setStyle(ButtonStyle.Secondary).setCustomId(`cart-page:${job.id}:${p + 1}`).setLabel('Next ▶').setDisabled(lastPage),
+  );
+  return { content: '', embeds: [embed], components: pages.length > 1 ? [nav] : [] };
+}
+
 /* ─────────────── Runtime maps ─────────────── */
-const timers = new Map(); // message_id -> Timer
-const pages  = new Map(); // message_id -> Puppeteer.Page
-// add dmUserId to state (in-memory mirror of dm_user_id)
-const states = new Map(); // message_id -> { lastPhase, staticName, assigneeUserId, dmUserId }
+const schedule = new Map(); // message_id -> { dueAt, nextDueAt } (dueAt is Infinity while queued/running)
+const states = new Map(); // message_id -> { lastPhase, staticName, assigneeUserId, phaseLog }
+
+/* ─────────────── Scheduler (shared page pool) ─────────────── */
+// One tick loop finds due jobs and queues them; at most SCRAPE_CONCURRENCY run at once,
+// each borrowing a page from a fixed pool instead of owning one for its whole life.
+const queue = [];             // message_ids waiting for a free page (FIFO)
+const idlePages = [];         // Puppeteer pages ready for reuse
+const pool = { size: 0, running: 0 };
+const scrapeStats = { total: 0, failed: 0, lastMs: null, avgMs: null, maxMs: null, lastWaitMs: null };
+const pathStats = { http: { ok: 0, incomplete: 0, error: 0 }, browser: { ok: 0, error: 0 } };
+let tickTimer = null;
+
+function scheduleJob(messageId, delayMs = POLL_INTERVAL_MS) {
+  schedule.set(messageId, { dueAt: Date.now() + delayMs });
+}
+function unscheduleJob(messageId) {
+  schedule.delete(messageId);
+  const idx = queue.findIndex((q) => q.id === messageId);
+  if (idx !== -1) queue.splice(idx, 1);
+}
+function moveScheduledJob(oldId, newId) {
+  const s = schedule.get(oldId); if (s) { schedule.delete(oldId); schedule.set(newId, s); }
+  const q = queue.find((x) => x.id === oldId); if (q) q.id = newId;
+}
+
+async function acquirePage() {
+  const idle = idlePages.pop();
+  if (idle && !idle.isClosed()) return idle;
+  pool.size++;
+  try { return await newTrackedPage(await getBrowser()); }
+  catch (e) { pool.size--; throw e; }
+}
+async function releasePage(page, broken = false) {
+  if (!broken && !page.isClosed()) { idlePages.push(page); return; }
+  pool.size--;
+  try { await page.close({ runBeforeUnload: true }); } catch {}
+}
+async function withPooledPage(fn) {
+  const page = await acquirePage();
+  let broken = false;
+  try { return await fn(page); }
+  catch (e) { broken = true; throw e; } // don't hand a half-navigated page to the next job
+  finally { await releasePage(page, broken); }
+}
+function recordScrape(ms, ok) {
+  scrapeStats.total++;
+  if (!ok) scrapeStats.failed++;
+  scrapeStats.lastMs = ms;
+  scrapeStats.maxMs = Math.max(scrapeStats.maxMs || 0, ms);
+  scrapeStats.avgMs = scrapeStats.avgMs == null ? ms : Math.round(scrapeStats.avgMs * 0.8 + ms * 0.2); // EWMA
+  M.scrapeDuration.observe(ms / 1000, { outcome: ok ? 'ok' : 'error' });
+  recentScrapes.push(ok);
+  if (recentScrapes.length > 20) recentScrapes.shift();
+}
+function schedulerStats() {
+  return {
+    jobs: schedule.size,
+    queued: queue.length,
+    running: pool.running,
+    concurrency: SCRAPE_CONCURRENCY,
+    pages: pool.size,
+    ...scrapeStats,
+    paths: pathStats,
+  };
+}
+
+function tick() {
+  if (browserHealth.down) return; // hold the queue until the browser is back
+  const now = Date.now();
+  for (const [id, s] of schedule) {
+    if (s.dueAt > now) continue;
+    s.dueAt = Infinity;
+    queue.push({ id, queuedAt: now });
+  }
+  drain();
+}
+function drain() {
+  while (!browserHealth.down && pool.running < SCRAPE_CONCURRENCY && queue.length) {
+    const { id, queuedAt } = queue.shift();
+    const entry = schedule.get(id);
+    if (!entry) continue; // stopped while waiting
+    scrapeStats.lastWaitMs = Date.now() - queuedAt;
+    pool.running++;
+    runOnceAndUpdate(id).finally(() => {
+      pool.running--;
+      // entry object follows the job across reposts; a stopped job's entry is simply orphaned
+      entry.dueAt = entry.nextDueAt ?? Date.now() + POLL_INTERVAL_MS;
+      entry.nextDueAt = null;
+      drain();
+    });
+  }
+  if (queue.length) dbg('scheduler backlog', { queued: queue.length, running: pool.running });
+}
+// Adaptive cadence: pick the next due time from phase / ETA / errors and persist it
+const CADENCE = cadenceConfig();
+function planNextPoll(job, { phase = null, etaAt = null, errorStreak = 0 } = {}) {
+  const delay = nextPollDelay({ phase, etaAt, errorStreak }, CADENCE);
+  const dueAt = Date.now() + delay;
+  const entry = schedule.get(job.message_id);
+  if (entry) entry.nextDueAt = dueAt;
+  DB.updateByMessageId(job.message_id, { next_poll_at: new Date(dueAt).toISOString() });
+  dbg('next poll', { message_id: job.message_id, phase, delay });
+}
+function startScheduler() {
+  if (!tickTimer) tickTimer = setInterval(tick, 1000);
+}
+
+/* ─────────────── Live event stream ─────────────── */
+const events = createEventBus();
+// job may be a jobs row or a job_history row (job_id instead of id)
+function publishJobEvent(type, job, data = {}) {
+  events.publish(type, {
+    job_id: job.id ?? job.job_id ?? null,
+    guild_id: job.guild_id,
+    channel_id: job.channel_id,
+    message_id: job.message_id,
+    ...data,
+  });
+}
+
+/* ─────────────── Outbound webhooks ─────────────── */
+const webhooks = createWebhookDispatcher({
+  db,
+  log: dbg,
+  onGiveUp: (d) => notifyOps(`⚠️ Webhook #${d.webhook_id} gave up on \`${d.event}\` (delivery ${d.id}, ${d.url}): ${d.error}`, d.guild_id),
+});
+// Bus event → public webhook event name
+const WEBHOOK_EVENT_FOR = {
+  job_started: 'tracking_started',
+  phase_changed: 'phase_changed',
+  delivered: 'delivered',
+  cancelled: 'cancelled',
+  login_required: 'login_required',
+  job_stopped: 'tracker_stopped',
+};
+events.subscribe((ev) => {
+  const event = WEBHOOK_EVENT_FOR[ev.type];
+  if (!event || !ev.guild_id) return;
+  try {
+    // Stopped jobs are already archived, so stopJob hands over the last scrape itself.
+    const { order, url, ...data } = ev.data;
+    const row = DB.getByMessageId(ev.message_id);
+    webhooks.enqueue({
+      guild_id: ev.guild_id,
+      channel_id: ev.channel_id,
+      event,
+      payload: {
+        at: ev.at,
+        job: { id: ev.job_id, guild_id: ev.guild_id, channel_id: ev.channel_id, message_id: ev.message_id, url: url ?? row?.url ?? null },
+        order: order ?? parseJSON(row?.last_scrape, null),
+        data,
+      },
+    });
+  } catch (e) {
+    err('webhook enqueue failed:', e?.message || e);
+  }
+});
+
+/* ─────────────── Bridge (116-bot) ─────────────── */
+const BRIDGE_CHANNEL_ID = process.env.BRIDGE_CHANNEL_ID || null;
+function bridgeTransport() {
+  if (process.env.BRIDGE_URL) return { url: process.env.BRIDGE_URL };
+  if (!BRIDGE_CHANNEL_ID) return null;
+  return {
+    async postToChannel(text) {
+      const ch = await client.channels.fetch(BRIDGE_CHANNEL_ID).catch(() => null);
+      if (!ch?.isTextBased()) throw new Error('Bridge channel not text-based or not found');
+      await ch.send({ content: text, allowedMentions: { parse: [] } });
+    },
+  };
+}
+const bridge = process.env.BRIDGE_SECRET && bridgeTransport()
+  ? createBridge({
+    db,
+    secret: process.env.BRIDGE_SECRET,
+    transport: bridgeTransport(),
+    log: dbg,
+    onStuck: (s) => notifyOps(`⚠️ Bridge \`${s.type}\` ${s.id} still unacknowledged after ${s.attempts} attempts: ${s.error}`),
+  })
+  : null;
+if (!bridge) log('ℹ️ Bridge disabled (set BRIDGE_SECRET and BRIDGE_URL or BRIDGE_CHANNEL_ID)');
+
+// order_id is stable across both events so 116-bot can pair them
+events.subscribe((ev) => {
+  if (!bridge || (ev.type !== 'job_started' && ev.type !== 'delivered')) return;
+  try {
+    const row = DB.getByMessageId(ev.message_id);
+    const base = {
+      order_id: `job-${ev.job_id}`,
+      job_id: ev.job_id,
+      guild_id: ev.guild_id,
+      channel_id: ev.channel_id,
+      requester_id: row?.requester_user_id ?? ev.data.requester_user_id ?? null,
+      assignee_id: row?.assignee_user_id ?? ev.data.assignee_user_id ?? null,
+    };
+    if (ev.type === 'job_started') bridge.send('tracking_started', { ...base, url: ev.data.url });
+    else bridge.send('delivered', { ...base, store: ev.data.store ?? null, total: ev.data.total ?? null, currency: ev.data.currency ?? null, delivered_at: ev.at });
+  } catch (e) {
+    err('bridge enqueue failed:', e?.message || e);
+  }
+});
 
 /* ─────────────── Discord message helpers ─────────────── */
 async function fetchMessage(channelId, messageId) {
@@ -570,31 +1024,237 @@ async function safeEditOrRepost(jobRow, payload) {
     try { await msg.edit(payload); return msg; }
     catch (e) { if (e?.code !== 10008) throw e; } // Unknown Message => repost
   }
-  // Repost
+  // Repost (a fresh message has no attachments, so re-upload the stored map if the embed shows it)
+  M.reposts.inc();
   const channel = await client.channels.fetch(channel_id);
   if (!channel?.isTextBased()) throw new Error('Cannot access channel to repost.');
+  if (!payload.files && payload.embeds?.some((e) => e.data?.image?.url === `attachment://${MAP_FILE}`)) {
+    const image = jobRow.id && db.prepare('SELECT map_image FROM jobs WHERE id = ?').get(jobRow.id)?.map_image;
+    payload = image ? { ...payload, files: [new AttachmentBuilder(image, { name: MAP_FILE })] } : payload;
+  }
   const newMsg = await channel.send(payload);
   // Update DB & move runtime keys
   DB.updateByMessageId(message_id, { message_id: newMsg.id });
-  const t = timers.get(message_id); if (t) { timers.delete(message_id); timers.set(newMsg.id, t); }
-  const p = pages.get(message_id);  if (p) { pages.delete(message_id);  pages.set(newMsg.id, p); }
+  moveScheduledJob(message_id, newMsg.id);
   const st = states.get(message_id); if (st) { states.delete(message_id); states.set(newMsg.id, st); }
+  jobRow.message_id = newMsg.id;
   return newMsg;
 }
 
+// Tear down a job everywhere (schedule, in-memory state) and move its row to job_history.
+async function stopJob(messageId, finalStatus) {
+  unscheduleJob(messageId);
+  states.delete(messageId);
+  const lastScrape = DB.getByMessageId(messageId)?.last_scrape;
+  const archived = DB.archiveByMessageId(messageId, finalStatus);
+  if (archived) {
+    publishJobEvent('job_stopped', archived, { final_status: finalStatus, url: archived.url, order: parseJSON(lastScrape, null) });
+  }
+}
+
+/* ─────────────── DM subscribers ─────────────── */
+// Mute button + jump link under every update DM (custom ids carry the job id, so they work from DMs).
+const dmNoticeRow = (job) =>
+  new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setStyle(ButtonStyle.Secondary).setCustomId(`dm-mute:${job.id}`).setLabel('Mute this order'),
+    new ButtonBuilder().setStyle(ButtonStyle.Link).setURL(messageLink(job)).setLabel('Open tracker'),
+  );
+
+// kind: 'phase' | 'eta' | 'final' — each subscriber's level decides (lib/subscribers.js)
+async function notifySubscribers(job, kind, text, subscribers = DB.getSubscribers(job.id)) {
+  for (const sub of subscribers) {
+    if (!wantsNotice(sub, kind)) continue;
+    const user = await client.users.fetch(sub.user_id).catch(() => null);
+    if (!user) { M.dmFailures.inc(); continue; }
+    const components = kind === 'final' ? [] : [dmNoticeRow(job)];
+    await user.send({ content: text, components }).catch(() => { M.dmFailures.inc(); });
+  }
+}
+
+// Redraw the tracker's DM button after the subscriber list changed. With `stale` (a watchdog
+// warning raised without a fresh scrape) the embed is rebuilt from the last good scrape as well.
+async function refreshControls(job, msg = null, { stale = null } = {}) {
+  msg = msg || await fetchMessage(job.channel_id, job.message_id);
+  if (!msg) return;
+  const data = parseJSON(job.last_scrape, null);
+  const payload = { components: [controlsRow(job, DB.getSubscribers(job.id).length, { stale: !!(stale || job.stale_warned_at), fullCart: cartOverflows(data) })] };
+  if (stale && data) {
+    const guild = await client.guilds.fetch(job.guild_id).catch(() => null);
+    payload.embeds = [buildActiveEmbed(data, job.url, {
+      serverIconURL: guild ? getGuildIconURL(guild) : null, phase: job.last_phase, stale,
+      settings: guildSettings(job.guild_id), mapImage: !!job.map_hash,
+    })];
+    DB.updateByMessageId(job.message_id, { last_hash: null }); // the next good scrape redraws without the notice
+  }
+  await msg.edit(payload).catch(() => {});
+}
+
+// Ephemeral preferences panel for one subscriber (level menu + mute + unsubscribe).
+function subscriberPanel(job, sub) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`dm-level:${job.id}`)
+    .setPlaceholder('What should I DM you about?')
+    .addOptions(Object.entries(SUBSCRIBER_LEVELS).map(([value, label]) => ({ label, value, default: value === sub.level })));
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setStyle(ButtonStyle.Secondary).setCustomId(`dm-mute:${job.id}`).setLabel(sub.muted ? 'Unmute' : 'Mute'),
+    new ButtonBuilder().setStyle(ButtonStyle.Danger).setCustomId(`dm-unsub:${job.id}`).setLabel('Unsubscribe'),
+  );
+  return {
+    content: `🔔 DM updates for ${trackerRef(job)}: **${SUBSCRIBER_LEVELS[sub.level] || sub.level}**${sub.muted ? ' — 🔇 muted' : ''}\n` +
+      '-# Reply `mute` or `unmute` to me in DMs to silence or resume all your orders.',
+    components: [new ActionRowBuilder().addComponents(menu), buttons],
+  };
+}
+
+/* ─────────────── Stale watchdog ─────────────── */
+const WATCHDOG = watchdogLimits();
+
+async function notifyRequesterAndAssignee(job, text) {
+  for (const id of new Set([job.requester_user_id, job.assignee_user_id].filter(Boolean))) {
+    await dmRequester(id, text);
+  }
+}
+// Returns the staleCheck result; a 'stop' has already torn the job down.
+async function runWatchdog(job) {
+  const check = staleCheck(job, WATCHDOG);
+  const ref = `\`${orderRef(job.url)}\``;
+  if (check.level === 'stop') {
+    await stopJob(job.message_id, 'stale');
+    const msg = await fetchMessage(job.channel_id, job.message_id);
+    if (msg) {
+      await msg.edit({ content: `💤 Tracking stopped automatically — ${check.reason}.`, components: [linkRow(job)] }).catch(() => {});
+    }
+    await notifyRequesterAndAssignee(job, `💤 Stopped tracking ${ref} — ${check.reason}. Run \`/track\` again if the order is still active.`);
+    log('💤 stale stop', { message_id: job.message_id, reason: check.reason });
+  } else if (check.level === 'warn' && !job.stale_warned_at) {
+    DB.updateByMessageId(job.message_id, { stale_warned_at: nowIso() });
+    job.stale_warned_at = nowIso();
+    const when = check.stopAt ? ` It will stop <t:${Math.floor(new Date(check.stopAt).getTime() / 1000)}:R>` : ' It will stop if this continues';
+    await notifyRequesterAndAssignee(job, `💤 Tracker for ${ref} looks stale (${check.reason}).${when} unless someone presses **Keep tracking** on ${messageLink(job)}.`);
+  } else if (!check.level && job.stale_warned_at) {
+    DB.updateByMessageId(job.message_id, { stale_warned_at: null }); // recovered on its own
+    job.stale_warned_at = null;
+  }
+  return check;
+}
+// The embed's 💤 notice for a 'warn' check.
+const staleNotice = (job, check) => ({ since: check.kind === 'phase' ? job.phase_since : null, stopAt: check.stopAt, reason: check.reason });
+
+/* ─────────────── ETA tracking ─────────────── */
+// Guild timezone for reading clock ETAs (/config timezone, else TIMEZONE, else the server zone).
+function guildTimeZone(guildId) {
+  return guildSettings(guildId).timezone || undefined;
+}
+
+// Parse the scraped ETA, persist it (first + drift series) and mirror it onto `job`.
+function recordEta(job, data) {
+  const observed = parseEta(data.etaLine, { timeZone: guildTimeZone(job.guild_id) });
+  const next = trackEta(
+    { etaAt: job.eta_at, firstAt: job.eta_first_at, history: parseJSON(job.eta_history, []) },
+    observed,
+  );
+  if (next.changed) {
+    const hadEta = !!job.eta_at;
+    job.eta_at = next.etaAt;
+    job.eta_first_at = next.firstAt;
+    job.eta_history = JSON.stringify(next.history);
+    DB.updateByMessageId(job.message_id, { eta_at: job.eta_at, eta_first_at: job.eta_first_at, eta_history: job.eta_history });
+    publishJobEvent('eta_changed', job, { eta_at: job.eta_at, eta_first_at: job.eta_first_at, eta_line: data.etaLine || null });
+    if (hadEta) {
+      const t = Math.floor(Date.parse(job.eta_at) / 1000);
+      notifySubscribers(job, 'eta', `⏱️ **New ETA:** <t:${t}:t> (<t:${t}:R>)`).catch(() => {});
+    }
+  }
+}
+
+// Once per job: tell the assignee when the order runs LATE_ALERT_MIN past the first ETA.
+async function checkLateness(job) {
+  if (!job.eta_first_at || job.late_alerted_at || !LATE_ALERT_MIN) return;
+  const late = minutesBetween(job.eta_first_at, nowIso());
+  if (late < LATE_ALERT_MIN) return;
+  DB.updateByMessageId(job.message_id, { late_alerted_at: nowIso() });
+  job.late_alerted_at = nowIso();
+
+  const first = Math.floor(Date.parse(job.eta_first_at) / 1000);
+  const current = job.eta_at && job.eta_at !== job.eta_first_at
+    ? ` Current ETA: <t:${Math.floor(Date.parse(job.eta_at) / 1000)}:t>.` : '';
+  const text = `⏰ **Order running late:** ${late} min past the first ETA (<t:${first}:t>).${current}`;
+  const channel = job.assignee_user_id ? await client.channels.fetch(job.channel_id).catch(() => null) : null;
+  if (channel) {
+    await channel.send({
+      content: `<@${job.assignee_user_id}> ${text}`,
+      allowedMentions: { users: [job.assignee_user_id], parse: [] },
+    }).catch(() => {});
+  } else {
+    notifyOps(`${text} ${messageLink(job)}`, job.guild_id);
+  }
+}
+
 /* ─────────────── Core poll loop ─────────────── */
+function countPath(path, outcome) {
+  pathStats[path][outcome]++;
+  M.scrapePath.inc({ path, outcome });
+}
+// HTTP fast path: parsed result when the plain page was complete enough, else null (use the browser).
+// The outcome is remembered per job, so pages that need Chromium stop paying for the extra request.
+async function tryHttpScrape(job) {
+  if (!HTTP_SCRAPE.enabled || job.scrape_path === 'browser') return null;
+  let outcome = 'error', data = null;
+  try {
+    const r = await scrapeOverHttp(job.url, jobProvider(job), { timeoutMs: HTTP_SCRAPE.timeoutMs });
+    outcome = r.complete ? 'ok' : 'incomplete';
+    if (r.complete) {
+      data = r.data;
+      await maybeCapture(job, data, { html: r.html });
+    }
+  } catch (e) {
+    dbg('http scrape failed', { job: job.id, error: String(e?.message || e) });
+  }
+  countPath('http', outcome);
+  const next = nextScrapePath(job.scrape_path, outcome);
+  if (next !== job.scrape_path) {
+    DB.updateByMessageId(job.message_id, { scrape_path: next });
+    dbg('scrape path', { job: job.id, path: next });
+    job.scrape_path = next;
+  }
+  return data;
+}
+
 async function runOnceAndUpdate(messageId) {
   const job = DB.getByMessageId(messageId);
-  if (!job) { clearInterval(timers.get(messageId)); timers.delete(messageId); return; }
-  const page = pages.get(messageId);
-  if (!page) return;
+  if (!job) { unscheduleJob(messageId); return; }
 
   try {
     let data;
+    let mapShot = null;
+    const t0 = Date.now();
+    const last = { phase: states.get(messageId)?.lastPhase, at: job.map_at };
+    let usedBrowser = false;
     try {
-      data = await scrapeOrderPage(page, job.url);
+      data = await tryHttpScrape(job);
+      // a due map snapshot needs a rendered page, so that poll goes through the browser anyway
+      if (data && !data.requiresLogin && shouldSnapshot(jobPhase(job, data), last, MAP)) data = null;
+      if (!data) {
+        usedBrowser = true;
+        data = await withPooledPage(async (page) => {
+          const d = await scrapeOrderPage(page, job.url);
+          await maybeCapture(job, d, { page });
+          if (!d.requiresLogin && shouldSnapshot(jobPhase(job, d), last, MAP)) {
+            mapShot = await snapshotMap(page, MAP).catch((e) => { warn('map snapshot failed:', e?.message || e); return null; });
+          }
+          return d;
+        });
+        countPath('browser', 'ok');
+      }
+      recordScrape(Date.now() - t0, true);
+      if (data.source) M.scrapeSource.inc({ source: data.source });
     } catch (e) {
+      if (usedBrowser) countPath('browser', 'error');
+      recordScrape(Date.now() - t0, false);
       const m = String(e?.message || e);
+      M.scrapeErrors.inc({ type: classifyScrapeError(m) });
+      if (!schedule.has(messageId)) return; // stopped (/untrack) mid-scrape
+      if (browserHealth.down) return; // browser crashed; relaunch sends one summary alert
       if (/detached Frame/i.test(m)) return; // transient SPA
       err('scrape error:', m);
       const tooSoon = job.last_error_at && Date.now() - new Date(job.last_error_at).getTime() < 5 * 60_000;
@@ -602,128 +1262,201 @@ async function runOnceAndUpdate(messageId) {
         await dmRequester(job.requester_user_id, `⚠️ Tracker had a scrape error for your order:\n\`${m}\``);
         DB.updateByMessageId(job.message_id, { last_error_at: nowIso() });
       }
+      const error_streak = (job.error_streak || 0) + 1;
+      DB.updateByMessageId(job.message_id, { error_streak });
+      publishJobEvent('scrape_error', job, { message: m, error_streak });
+      const watched = { ...job, error_streak };
+      const check = await runWatchdog(watched);
+      // no scrape to redraw from, so show the new warning and Keep tracking on the last good embed
+      if (check.level === 'warn' && !job.stale_warned_at) await refreshControls(watched, null, { stale: staleNotice(watched, check) });
+      if (check.level !== 'stop') {
+        await checkLateness(job);
+        planNextPoll(job, { phase: job.last_phase, etaAt: Date.parse(job.eta_at) || null, errorStreak: error_streak });
+      }
       return;
     }
+    if (!schedule.has(messageId)) return; // stopped (/untrack) mid-scrape
 
     if (data.requiresLogin) {
+      M.scrapeErrors.inc({ type: 'login_required' });
       await safeEditOrRepost(job, {
-        content: '⚠️ This link appears to require login on Uber. Please provide a **public** tracking link.',
+        content: `⚠️ This link appears to require login on ${jobProvider(job).name}. Please provide a **public** tracking link.`,
         embeds: [],
-        components: [controlsRow(job.url, !!(states.get(job.message_id)?.dmUserId))],
+        attachments: [],
+        components: [controlsRow(job, DB.getSubscribers(job.id).length)],
       });
-      await dmRequester(job.requester_user_id, '⚠️ Your Uber Eats link appears to require login. Please provide a **public** tracking link.');
-      clearInterval(timers.get(messageId)); timers.delete(messageId);
-      try { await page.close({ runBeforeUnload: true }); } catch {}
-      pages.delete(messageId);
-      DB.deleteByMessageId(messageId);
-      states.delete(messageId);
+      await dmRequester(job.requester_user_id, `⚠️ Your ${jobProvider(job).name} link appears to require login. Please provide a **public** tracking link.`);
+      publishJobEvent('login_required', job, { url: job.url });
+      await stopJob(job.message_id, 'login_required');
       return;
     }
 
+    if (isEmptyScrape(data, (d) => jobPhase(job, d))) M.scrapeErrors.inc({ type: 'parse_empty' });
+
     // Name latch
     const st = states.get(messageId) || {};
     if (!st.staticName && data.name) st.staticName = data.name;
     if (st.staticName && !data.name) data.name = st.staticName;
+    // Total latch: delivered pages often drop the receipt, and the bridge reports the amount on delivery
+    const prevScrape = parseJSON(job.last_scrape, null);
+    if (data.total == null && prevScrape?.total != null) Object.assign(data, { total: prevScrape.total, currency: prevScrape.currency });
+    DB.updateByMessageId(job.message_id, { last_scrape: JSON.stringify(data), last_scrape_at: nowIso() });
+
+    // Phase + terminal states (delivered / cancelled)
+    const seenPhase = jobPhase(job, data);
+    const phase = seenPhase || st.lastPhase || null;
+    const deliveredNow = phase === 'DELIVERED';
+    const cancelledNow = phase === 'CANCELLED';
+    const phaseChanged = !!phase && phase !== st.lastPhase;
+    if (phaseChanged) {
+      publishJobEvent('phase_changed', job, {
+        phase, previous: st.lastPhase || null, status_line: data.statusLine || null,
+        detail: data.issue || data.reassigned || null,
+      });
+    }
 
-    // Phase + delivered
-    const phase = classifyPhase(data.statusLine || data.statusText) || st.lastPhase || null;
-    const deliveredNow = !!data.delivered || phase === 'DELIVERED';
+    // Phase timeline (persisted immediately so it survives restarts)
+    st.phaseLog = st.phaseLog || [];
+    if (seenPhase && st.phaseLog.at(-1)?.phase !== seenPhase) {
+      st.phaseLog.push({ phase: seenPhase, at: nowIso() });
+      DB.updateByMessageId(job.message_id, { phase_log: JSON.stringify(st.phaseLog) });
+    }
 
-    // DM updates (no ticket pings during tracking)
-    const dmUserId = st.dmUserId || null;
-    if (dmUserId) {
-      try {
-        const user = await client.users.fetch(dmUserId).catch(() => null);
-        if (user) {
-          if (!st.lastPhase && phase) {
-            const label = phase === 'PREPARING' ? 'Preparing'
-              : phase === 'HEADING' ? 'Heading your way'
-              : phase === 'ALMOST_HERE' ? 'Almost here'
-              : 'Delivered';
-            await user.send(`🔔 **Tracking started:** ${label}${data.etaLine ? ` — *${data.etaLine}*` : ''}`).catch(() => {});
-          } else if (phase && st.lastPhase && phase !== st.lastPhase) {
-            const label = phase === 'PREPARING' ? 'Preparing'
-              : phase === 'HEADING' ? 'Heading your way'
-              : phase === 'ALMOST_HERE' ? 'Almost here'
-              : 'Delivered';
-            await user.send(`🔔 **Status update:** ${label}${data.etaLine ? ` — *${data.etaLine}*` : ''}`).catch(() => {});
-          }
-        }
-      } catch {}
+    // DM updates (the ticket is only pinged for issues, reassignments and terminal states)
+    const subscribers = DB.getSubscribers(job.id);
+    const detail = phase === 'ISSUE' ? data.issue : phase === 'COURIER_REASSIGNED' ? data.reassigned : data.etaLine;
+    const icon = phase === 'ISSUE' ? '⚠️' : phase === 'COURIER_REASSIGNED' ? '🔄' : phase === 'CANCELLED' ? '❌' : '🔔';
+    if (phaseChanged && !deliveredNow && !cancelledNow) {
+      const head = st.lastPhase ? 'Status update' : 'Tracking started';
+      const progress = progressLine(orderProgress(data, phase));
+      const extra = [
+        progress && `📶 ${progress}`,
+        courierLine(data.courier) && `🚗 ${courierLine(data.courier)}`,
+        stopsLine(data.stops_before) && `📦 ${stopsLine(data.stops_before)}`,
+      ].filter(Boolean).map((l) => `\n${l}`).join('');
+      await notifySubscribers(job, 'phase', `${icon} **${head}:** ${phaseLabel(phase)}${detail ? ` — *${detail}*` : ''}${extra}`, subscribers);
+    }
+
+    // Issue / courier reassigned → ping the assignee (or first subscriber) in the ticket once per occurrence
+    const ticketNotice = !phaseChanged ? null
+      : phase === 'ISSUE' ? `⚠️ **Order issue:** ${sanitize(data.issue, 300) || `${jobProvider(job).name} reports a problem with this delivery.`}`
+      : phase === 'COURIER_REASSIGNED' ? `🔄 **Courier reassigned:** ${sanitize(data.reassigned, 300) || 'A new courier is being assigned to this delivery.'}`
+      : null;
+    if (ticketNotice) {
+      const pingId = st.assigneeUserId || subscribers[0]?.user_id;
+      const channel = pingId ? await client.channels.fetch(job.channel_id).catch(() => null) : null;
+      if (channel) {
+        await channel.send({
+          content: `<@${pingId}> ${ticketNotice}`,
+          allowedMentions: { users: [pingId], parse: [] },
+        }).catch(() => {});
+      }
     }
     st.lastPhase = phase;
 
+    // Watchdog clock: restart on phase change, clear the error streak on any good scrape
+    if (phaseChanged || job.error_streak || !job.phase_since) {
+      job.phase_since = phaseChanged || !job.phase_since ? nowIso() : job.phase_since;
+      job.error_streak = 0;
+      if (phaseChanged) job.stale_warned_at = null;
+      DB.updateByMessageId(job.message_id, { phase_since: job.phase_since, error_streak: 0, stale_warned_at: job.stale_warned_at || null });
+    }
+    let stale = null;
+    if (!deliveredNow && !cancelledNow) {
+      const check = await runWatchdog(job);
+      if (check.level === 'stop') return;
+      if (check.level === 'warn') stale = staleNotice(job, check);
+
+      recordEta(job, data);
+      data.etaAt = job.eta_at;
+      data.etaFirstAt = job.eta_first_at;
+      await checkLateness(job);
+    }
+
     // Build embed + controls (show DM toggle until delivered)
     const guild = await client.guilds.fetch(job.guild_id);
     const serverIconURL = getGuildIconURL(guild);
+    const settings = guildSettings(job.guild_id);
+    // Map snapshot: store + upload only when the image actually changed
+    const newMap = !!mapShot && mapShot.hash !== job.map_hash && !deliveredNow && !cancelledNow;
+    if (newMap) {
+      DB.updateByMessageId(job.message_id, { map_image: mapShot.buf, map_hash: mapShot.hash, map_at: nowIso() });
+      job.map_hash = mapShot.hash;
+      dbg('map snapshot', { message_id: job.message_id, bytes: mapShot.buf.length, quality: mapShot.quality });
+    } else if (mapShot) {
+      DB.updateByMessageId(job.message_id, { map_at: nowIso() }); // same picture; just restart the refresh clock
+    }
+    const mapImage = !!job.map_hash;
+
     const payload = deliveredNow
-      ? { content: '', embeds: [buildDeliveredEmbed(data, job.url, { serverIconURL })], components: [linkRow(job.url, true)] }
-      : { content: '', embeds: [buildActiveEmbed(data, job.url, { serverIconURL })],   components: [controlsRow(job.url, !!dmUserId)] };
+      ? { content: '', embeds: [buildDeliveredEmbed(data, job.url, { serverIconURL, settings })], components: [linkRow(job, true)] }
+      : cancelledNow
+      ? { content: '', embeds: [buildCancelledEmbed(data, job.url, { serverIconURL, settings })], components: [linkRow(job, true)] }
+      : { content: '', embeds: [buildActiveEmbed(data, job.url, { serverIconURL, phase, stale, settings, mapImage })], components: [controlsRow(job, subscribers.length, { stale: !!stale, fullCart: cartOverflows(data) })] };
 
-    // Edit only on change
+    // Edit only on change (the image bytes are tracked by map_hash, not the payload hash)
     const h = hashPayload(payload);
-    if (h !== job.last_hash) {
+    if (newMap) Object.assign(payload, { files: [new AttachmentBuilder(mapShot.buf, { name: MAP_FILE })], attachments: [] });
+    else if (mapImage && (deliveredNow || cancelledNow)) payload.attachments = []; // final embeds drop the map
+    if (h !== job.last_hash || newMap) {
       await safeEditOrRepost(job, payload);
       DB.updateByMessageId(job.message_id, {
-        last_hash: h, last_phase: st.lastPhase, static_name: st.staticName || null, last_error_at: null
+        last_hash: h, last_phase: st.lastPhase, static_name: st.staticName || null, last_error_at: null,
+        store: data.store || job.store || null,
+        cart: data.cart?.length ? JSON.stringify(data.cart) : job.cart || null,
       });
+      M.embedUpdates.inc({ result: 'edited' });
+    } else {
+      M.embedUpdates.inc({ result: 'skipped' });
     }
 
-    // Delivered → finalize (ping in ticket once, DM if subscribed)
-    if (deliveredNow) {
+    // Delivered / cancelled → finalize (ping in ticket once, DM if subscribed)
+    if (deliveredNow || cancelledNow) {
       const channel = await client.channels.fetch(job.channel_id).catch(() => null);
-
-      if (dmUserId) {
-        // DM final
-        try {
-          const u = await client.users.fetch(dmUserId).catch(() => null);
-          if (u) await u.send(`✅ **Order Arrived!** Enjoy your order!`).catch(() => {});
-        } catch {}
-        // Ticket ping once (mention subscriber)
-        if (channel) {
-          await channel.send({
-            content: `<@${dmUserId}> ✅ **Order Arrived!** Enjoy your order!`,
-            allowedMentions: { users: [dmUserId], parse: [] },
-          }).catch(() => {});
-        }
-      } else if (st.assigneeUserId && channel) {
-        // fallback: if nobody subscribed, ping assignee once
+      const finalText = deliveredNow ? '✅ **Order Arrived!** Enjoy your order!' : '❌ **Order Cancelled.** A staff member will follow up here.';
+
+      await notifySubscribers(job, 'final', finalText, subscribers);
+      // Ticket ping once: every subscriber (else the assignee) on delivery; plus the assignee on cancellation so staff can act
+      const subIds = subscribers.map((s) => s.user_id);
+      const pingIds = deliveredNow
+        ? (subIds.length ? subIds : [st.assigneeUserId].filter(Boolean))
+        : [...new Set([...subIds, st.assigneeUserId].filter(Boolean))];
+      if (channel && pingIds.length) {
         await channel.send({
-          content: `<@${st.assigneeUserId}> ✅ **Order Arrived!** Enjoy your order!`,
-          allowedMentions: { users: [st.assigneeUserId], parse: [] },
+          content: `${pingIds.map((id) => `<@${id}>`).join(' ')} ${finalText}`,
+          allowedMentions: { users: pingIds, parse: [] },
         }).catch(() => {});
       }
 
-      clearInterval(timers.get(messageId)); timers.delete(messageId);
-      try { await page.close({ runBeforeUnload: true }); } catch {}
-      pages.delete(messageId);
-      DB.deleteByMessageId(job.message_id);
-      states.delete(messageId);
+      publishJobEvent(deliveredNow ? 'delivered' : 'cancelled', job, {
+        store: data.store || job.store || null,
+        total: data.total ?? null,
+        currency: data.currency ?? null,
+      });
+      await stopJob(job.message_id, deliveredNow ? 'delivered' : 'cancelled');
     } else {
       states.set(job.message_id, st);
+      planNextPoll(job, { phase, etaAt: Date.parse(job.eta_at) || null });
     }
   } catch (e) {
     const m = String(e?.message || e);
     err('runOnceAndUpdate error:', m);
-    notifyOps('⚠️ runOnceAndUpdate: ' + m);
+    if (!browserHealth.down) notifyOps('⚠️ runOnceAndUpdate: ' + m, job.guild_id);
   }
 }
 
 /* ─────────────── Start & Resume ─────────────── */
 async function startJob(channel, url, requesterUserId) {
-  const browser = await getBrowser();
-  const page = await newTrackedPage(browser);
-
-  const assigneeUserId = await resolveChannelAssignee(channel, NOTIFY_ROLE_ID);
+  const assigneeUserId = await resolveChannelAssignee(channel);
 
   // Initial message (with DM toggle)
   const msg = await channel.send({
-    embeds: [buildActiveEmbed({ statusLine: 'Starting…' }, url, { serverIconURL: getGuildIconURL(channel.guild) })],
-    components: [controlsRow(url, false)],
+    embeds: [buildActiveEmbed({ statusLine: 'Starting…' }, url, { serverIconURL: getGuildIconURL(channel.guild), settings: guildSettings(channel.guild.id) })],
+    components: [controlsRow({ url })],
   });
 
   // Persist
-  DB.insert({
+  const { lastInsertRowid } = DB.insert({
     url,
     guild_id: channel.guild.id,
     channel_id: channel.id,
@@ -734,88 +1467,558 @@ async function startJob(channel, url, requesterUserId) {
     last_phase: null,
     last_hash: null,
     last_error_at: null,
-    dm_user_id: null, // persisted DM subscriber (none yet)
   });
 
-  // Runtime
-  pages.set(msg.id, page);
-  states.set(msg.id, { assigneeUserId, staticName: null, lastPhase: null, dmUserId: null });
-
-  await runOnceAndUpdate(msg.id);
-  const timer = setInterval(() => runOnceAndUpdate(msg.id), POLL_INTERVAL_MS);
-  timers.set(msg.id, timer);
+  // Runtime (first scrape goes through the queue like every other)
+  states.set(msg.id, { assigneeUserId, staticName: null, lastPhase: null, phaseLog: [] });
+  scheduleJob(msg.id, 0);
+  tick();
+  publishJobEvent('job_started', { id: Number(lastInsertRowid), guild_id: channel.guild.id, channel_id: channel.id, message_id: msg.id }, {
+    url, requester_user_id: requesterUserId || null, assignee_user_id: assigneeUserId || null,
+  });
 
   return msg;
 }
+function restoreState(row) {
+  states.set(row.message_id, {
+    assigneeUserId: row.assignee_user_id || null,
+    staticName: row.static_name || null,
+    lastPhase: row.last_phase || null,
+    phaseLog: parseJSON(row.phase_log, []),
+  });
+}
 async function resumeAllFromDB() {
   const all = DB.getAll();
   if (!all.length) { log('↩️  No jobs to resume'); return; }
   log(`🔁 Resuming ${all.length} job(s) from DB…`);
-  const browser = await getBrowser();
 
   for (const row of all) {
     try {
       const channel = await client.channels.fetch(row.channel_id).catch(() => null);
-      if (!channel?.isTextBased()) { DB.deleteByMessageId(row.message_id); continue; }
+      if (!channel?.isTextBased()) { await stopJob(row.message_id, 'channel_gone'); continue; }
 
       let msg = await channel.messages.fetch(row.message_id).catch(() => null);
       if (!msg) {
         msg = await channel.send({
-          embeds: [buildActiveEmbed({ statusLine: 'Resuming…' }, row.url, { serverIconURL: getGuildIconURL(channel.guild) })],
-          components: [controlsRow(row.url, !!row.dm_user_id)],
+          embeds: [buildActiveEmbed({ statusLine: 'Resuming…' }, row.url, { serverIconURL: getGuildIconURL(channel.guild), settings: guildSettings(row.guild_id) })],
+          components: [controlsRow(row, DB.getSubscribers(row.id).length)],
         });
         DB.updateByMessageId(row.message_id, { message_id: msg.id });
         row.message_id = msg.id;
       } else {
         await msg.edit({
-          embeds: [buildActiveEmbed({ statusLine: 'Resuming…' }, row.url, { serverIconURL: getGuildIconURL(channel.guild) })],
-          components: [controlsRow(row.url, !!row.dm_user_id)],
+          embeds: [buildActiveEmbed({ statusLine: 'Resuming…' }, row.url, { serverIconURL: getGuildIconURL(channel.guild), settings: guildSettings(row.guild_id) })],
+          components: [controlsRow(row, DB.getSubscribers(row.id).length)],
         }).catch(() => {});
       }
 
-      const page = await newTrackedPage(browser);
-      pages.set(row.message_id, page);
-      states.set(row.message_id, {
-        assigneeUserId: row.assignee_user_id || null,
-        staticName: row.static_name || null,
-        lastPhase: row.last_phase || null,
-        dmUserId: row.dm_user_id || null, // restore subscriber
-      });
-
-      await runOnceAndUpdate(row.message_id);
-      const timer = setInterval(() => runOnceAndUpdate(row.message_id), POLL_INTERVAL_MS);
-      timers.set(row.message_id, timer);
+      restoreState(row);
+      // honour the persisted adaptive cadence (overdue or unknown → now)
+      scheduleJob(row.message_id, Math.max(0, Date.parse(row.next_poll_at) - Date.now()) || 0);
     } catch (e) {
       err('resume error:', e?.message || e);
     }
   }
 }
 
+/* ─────────────── Browser crash recovery ─────────────── */
+// Chromium can die (OOM, renderer crash, disconnect). Every pooled page dies with it, so we
+// pause the queue, relaunch with backoff, re-sync jobs from the DB and send ONE ops summary.
+const RELAUNCH_BASE_MS = 2_000;
+const RELAUNCH_MAX_MS = 60_000;
+
+function onBrowserDisconnected(b) {
+  if (b !== _browser || shuttingDown) return;
+  _browser = null;
+  browserHealth.down = true;
+  browserHealth.downSince = nowIso();
+  browserHealth.lastReason = 'disconnected';
+  // idle pages belonged to the dead browser; busy ones are dropped by releasePage() when their scrape fails
+  pool.size -= idlePages.splice(0).length;
+  warn('💥 Browser disconnected — relaunching');
+  relaunchBrowser();
+}
+
+async function relaunchBrowser() {
+  for (let attempt = 1; !shuttingDown; attempt++) {
+    const delay = Math.min(RELAUNCH_MAX_MS, RELAUNCH_BASE_MS * 2 ** (attempt - 1));
+    await sleep(delay);
+    try {
+      await getBrowser();
+    } catch (e) {
+      warn(`relaunch attempt ${attempt} failed:`, e?.message || e);
+      if (attempt === 5) notifyOps(`❌ Browser relaunch still failing after ${attempt} attempts: \`${String(e?.message || e)}\``);
+      continue;
+    }
+    browserHealth.restarts++;
+    M.browserRestarts.inc();
+    const downFor = Math.round((Date.now() - new Date(browserHealth.downSince).getTime()) / 1000);
+    const resumed = resyncJobsFromDB();
+    browserHealth.down = false;
+    browserHealth.downSince = null;
+    tick();
+    log('♻️ Browser relaunched', { attempt, resumed });
+    notifyOps(`♻️ Browser crashed and was relaunched (attempt ${attempt}, down ${downFor}s). Resumed ${resumed} tracker(s).`);
+    return;
+  }
+}
+
+// Same source of truth as resumeAllFromDB: every jobs row gets state + an immediate scrape.
+// Pages are rebuilt lazily by the pool as those scrapes run.
+function resyncJobsFromDB() {
+  const all = DB.getAll();
+  for (const row of all) {
+    if (!states.has(row.message_id)) restoreState(row);
+    const entry = schedule.get(row.message_id);
+    if (!entry) scheduleJob(row.message_id, 0);
+    else if (entry.dueAt !== Infinity) entry.dueAt = Date.now(); // queued/running ones keep their slot
+  }
+  // drop anything scheduled that no longer has a row
+  const live = new Set(all.map((r) => r.message_id));
+  for (const id of [...schedule.keys()]) if (!live.has(id)) unscheduleJob(id);
+  return all.length;
+}
+
 /* ─────────────── Commands ─────────────── */
 const commands = [
   new SlashCommandBuilder()
     .setName('track')
-    .setDescription('Track an Uber Eats PUBLIC order page in this channel.')
-    .addStringOption(o => o.setName('url').setDescription('Public Uber Eats order URL').setRequired(true))
+    .setDescription(`Track a PUBLIC order page (${providerNames()}) in this channel.`)
+    .addStringOption(o => o.setName('url').setDescription(`Public ${providerNames()} order/tracking URL`).setRequired(true))
+    .toJSON(),
+  new SlashCommandBuilder()
+    .setName('untrack')
+    .setDescription('Stop a tracker (by message link, or the one in this channel).')
+    .addStringOption(o => o.setName('message').setDescription('Tracker message link or ID').setRequired(false))
+    .toJSON(),
+  new SlashCommandBuilder()
+    .setName('tracking')
+    .setDescription('Inspect live trackers.')
+    .addSubcommand(s => s
+      .setName('list')
+      .setDescription('List every active tracker in this server.'))
+    .addSubcommand(s => s
+      .setName('info')
+      .setDescription('Show stored details for one tracker.')
+      .addStringOption(o => o.setName('message').setDescription('Tracker message link or ID').setRequired(false)))
+    .addSubcommand(s => s
+      .setName('capture')
+      .setDescription('Fetch the latest saved page capture for one tracker.')
+      .addStringOption(o => o.setName('message').setDescription('Tracker message link or ID').setRequired(false)))
+    .toJSON(),
+  new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('Search finished orders (delivered or stopped).')
+    .addIntegerOption(o => o.setName('id').setDescription('Show one history record in full').setRequired(false))
+    .addUserOption(o => o.setName('user').setDescription('Requester, assignee or DM subscriber').setRequired(false))
+    .addStringOption(o => o.setName('store').setDescription('Store name contains…').setRequired(false))
+    .addStringOption(o => o.setName('from').setDescription('Finished on/after (YYYY-MM-DD, UTC)').setRequired(false))
+    .addStringOption(o => o.setName('to').setDescription('Finished on/before (YYYY-MM-DD, UTC)').setRequired(false))
+    .toJSON(),
+  new SlashCommandBuilder()
+    .setName('webhook')
+    .setDescription('Manage outbound webhooks for this server.')
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(s => s
+      .setName('add')
+      .setDescription('Send signed order events to a URL.')
+      .addStringOption(o => o.setName('url').setDescription('https:// endpoint that receives POSTs').setRequired(true))
+      .addChannelOption(o => o.setName('channel').setDescription('Only trackers in this channel (default: whole server)').setRequired(false))
+      .addStringOption(o => o.setName('events').setDescription('Comma list, e.g. delivered,cancelled (default: all events)').setRequired(false)))
+    .addSubcommand(s => s
+      .setName('list')
+      .setDescription('List webhooks configured for this server.'))
+    .addSubcommand(s => s
+      .setName('remove')
+      .setDescription('Delete a webhook and its pending deliveries.')
+      .addIntegerOption(o => o.setName('id').setDescription('Webhook ID from /webhook list').setRequired(true)))
+    .toJSON(),
+  new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('View or change this server\'s tracker settings.')
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(s => s
+      .setName('view')
+      .setDescription('Show the effective settings (server overrides + defaults).'))
+    .addSubcommand(s => s
+      .setName('set')
+      .setDescription('Override one setting for this server.')
+      .addStringOption(o => o.setName('setting').setDescription('Setting to change').setRequired(true)
+        .addChoices(...Object.entries(GUILD_SETTINGS).map(([value, { label }]) => ({ name: label, value }))))
+      .addStringOption(o => o.setName('value').setDescription('Text, #channel / @role mention or ID, theme or IANA timezone').setRequired(true)))
+    .addSubcommand(s => s
+      .setName('reset')
+      .setDescription('Drop a server override and fall back to the default.')
+      .addStringOption(o => o.setName('setting').setDescription('Setting to reset').setRequired(true)
+        .addChoices(...Object.entries(GUILD_SETTINGS).map(([value, { label }]) => ({ name: label, value })))))
     .toJSON(),
 ];
-async function registerCommands() {
+// Guild-scoped registration (instant updates) for every server the bot is in; new servers
+// are covered by guildCreate. Clears any old global set so commands don't show up twice.
+async function registerCommands(guildIds = [...client.guilds.cache.keys()], { clearGlobal = true } = {}) {
   const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
   const appId = process.env.DISCORD_APP_ID;
-  const guildId = process.env.GUILD_ID;
   if (!appId) throw new Error('Missing DISCORD_APP_ID');
-  if (guildId) {
-    await rest.put(Routes.applicationGuildCommands(appId, guildId), { body: commands });
-    log('✅ Slash commands registered (guild)');
-  } else {
-    await rest.put(Routes.applicationCommands(appId), { body: commands });
-    log('✅ Slash commands registered (global)');
+  if (clearGlobal) await rest.put(Routes.applicationCommands(appId), { body: [] });
+  for (const guildId of guildIds) {
+    try {
+      await rest.put(Routes.applicationGuildCommands(appId, guildId), { body: commands });
+    } catch (e) {
+      warn('registerCommands failed for guild', guildId, e?.message || e);
+    }
+  }
+  log(`✅ Slash commands registered for ${guildIds.length} guild(s)`);
+}
+
+/* ─────────────── Tracker lookup (for /untrack + /tracking) ─────────────── */
+const messageLink = (job) => `https://discord.com/channels/${job.guild_id}/${job.channel_id}/${job.message_id}`;
+const discordTs = (iso, style = 'R') => `<t:${Math.floor(new Date(iso).getTime() / 1000)}:${style}>`;
+
+/* ─────────────── Permissions + audit log ─────────────── */
+// The interaction's user as lib/permissions.js sees them. "Own ticket" = a thread they
+// created, or a channel with a per-user overwrite granting them access (how ticket bots work).
+function actorFor(i) {
+  const roles = i.member?.roles;
+  const ch = i.channel;
+  const ownsChannel = !!ch && (ch.isThread?.()
+    ? ch.ownerId === i.user.id
+    : !!ch.permissionOverwrites?.cache.get(i.user.id)?.allow.has(PermissionsBitField.Flags.ViewChannel));
+  return {
+    userId: i.user.id,
+    roleIds: roles?.cache ? [...roles.cache.keys()] : Array.isArray(roles) ? roles : [],
+    isAdmin: !!i.memberPermissions?.has(PermissionsBitField.Flags.ManageGuild),
+    ownsChannel,
+  };
+}
+// Privileged actions: console + the guild's ops channel (never pings anyone).
+async function audit(guildId, text) {
+  log('📝 audit', { guild_id: guildId, text });
+  const opsChannelId = guildSettings(guildId).ops_channel_id;
+  if (!opsChannelId) return;
+  const ch = await client.channels.fetch(opsChannelId).catch(() => null);
+  if (ch?.isTextBased()) await ch.send({ content: `📝 ${text}`, allowedMentions: { parse: [] } }).catch(() => {});
+}
+const trackerRef = (job) => `[\`${orderRef(job.url)}\`](${messageLink(job)})`;
+
+// Accepts a full message link (…/channels/<guild>/<channel>/<message>) or a bare message ID.
+// Without a reference, falls back to the single tracker running in the current channel.
+function findJobForInteraction(i, ref) {
+  if (ref) {
+    const m = ref.trim().match(/channels\/(?:\d+|@me)\/\d+\/(\d+)/) || ref.trim().match(/^(\d{15,25})$/);
+    if (!m) return { error: '❌ That is not a message link or message ID.' };
+    const job = DB.getByMessageId(m[1]);
+    if (!job || job.guild_id !== i.guildId) return { error: '⚠️ No active tracker found for that message.' };
+    return { job };
+  }
+  const here = DB.getByChannelId(i.channelId);
+  if (!here.length) return { error: '⚠️ No active tracker in this channel. Pass the tracker message link.' };
+  if (here.length > 1) return { error: `⚠️ ${here.length} trackers are running in this channel. Pass the tracker message link.` };
+  return { job: here[0] };
+}
+
+function setAssignee(job, userId) {
+  const st = states.get(job.message_id) || {};
+  st.assigneeUserId = userId;
+  states.set(job.message_id, st);
+  DB.updateByMessageId(job.message_id, { assignee_user_id: userId });
+}
+
+// Staff stop (slash command or API): archive as 'untracked' and leave a note on the tracker message.
+async function untrackJob(job, byText) {
+  await stopJob(job.message_id, 'untracked');
+  const msg = await fetchMessage(job.channel_id, job.message_id);
+  if (msg) {
+    await msg.edit({
+      content: `🛑 Tracking stopped by ${byText}.`,
+      components: [linkRow(job)],
+      allowedMentions: { parse: [] },
+    }).catch(() => {});
+  }
+  log('🛑 untrack', { message_id: job.message_id, by: byText });
+}
+
+async function handleUntrack(i) {
+  const { job, error } = findJobForInteraction(i, i.options.getString('message'));
+  if (error) return ephemeralTo(i, error);
+  const perm = canControlTracker(actorFor(i), job, guildSettings(job.guild_id));
+  if (!perm.ok) return ephemeralTo(i, `⛔ ${perm.reason}`);
+  await untrackJob(job, `<@${i.user.id}>`);
+  audit(job.guild_id, `<@${i.user.id}> stopped tracker ${trackerRef(job)} in <#${job.channel_id}> (/untrack)`);
+  return ephemeralTo(i, `🛑 Stopped tracking \`${orderRef(job.url)}\` in <#${job.channel_id}>.`);
+}
+
+async function handleTrackingList(i) {
+  if (!isTrackerStaff(actorFor(i), guildSettings(i.guildId))) return ephemeralTo(i, '⛔ Only staff can list trackers.');
+  const rows = DB.getByGuildId(i.guildId);
+  if (!rows.length) return ephemeralTo(i, 'ℹ️ No active trackers in this server.');
+  const lines = rows.map((r) =>
+    `• ${r.stale_warned_at ? '💤 ' : ''}[${r.static_name || orderRef(r.url)}](${messageLink(r)}) — ${phaseLabel(r.last_phase)} — <#${r.channel_id}> — started ${discordTs(r.created_at)}`
+  );
+  // Keep under Discord's 2000-char message cap
+  const q = schedulerStats();
+  let content = `📋 **Active trackers (${rows.length})**\n` +
+    `-# Queue: ${q.queued} waiting • ${q.running}/${q.concurrency} scraping • avg scrape ${q.avgMs ?? '—'} ms` +
+    ` • HTTP fast path ${q.paths.http.ok}/${q.paths.http.ok + q.paths.browser.ok} scrapes\n`;
+  for (const [n, line] of lines.entries()) {
+    if (content.length + line.length + 1 > 1900) { content += `\n…and ${lines.length - n} more`; break; }
+    content += line + '\n';
+  }
+  return ephemeralTo(i, content.trim());
+}
+
+async function handleTrackingInfo(i) {
+  const { job, error } = findJobForInteraction(i, i.options.getString('message'));
+  if (error) return ephemeralTo(i, error);
+  // Shows the full order URL: staff, or the people attached to this tracker
+  if (!canControlTracker(actorFor(i), job, guildSettings(job.guild_id)).ok) {
+    return ephemeralTo(i, '⛔ Only staff, the requester or the assignee can view this tracker.');
+  }
+  const user = (id) => (id ? `<@${id}>` : '—');
+  const when = (iso) => (iso ? `${discordTs(iso, 'f')} (${discordTs(iso)})` : '—');
+  const embed = new EmbedBuilder()
+    .setColor(0x3498db)
+    .setTitle(`🔎 Tracker #${job.id}`)
+    .setURL(messageLink(job))
+    .addFields(
+      { name: 'URL', value: sanitizeValue(job.url) || '—', inline: false },
+      { name: 'Channel', value: `<#${job.channel_id}>`, inline: true },
+      { name: 'Message ID', value: job.message_id, inline: true },
+      { name: 'Phase', value: job.last_phase ? `${phaseLabel(job.last_phase)} (\`${job.last_phase}\`)` : '—', inline: true },
+      { name: 'Assignee', value: user(job.assignee_user_id), inline: true },
+      { name: 'Requester', value: user(job.requester_user_id), inline: true },
+      {
+        name: 'DM Subscribers',
+        value: DB.getSubscribers(job.id).map((s) => `<@${s.user_id}> · ${s.level}${s.muted ? ' · muted' : ''}`).join('\n') || '—',
+        inline: true,
+      },
+      { name: 'Customer Name', value: sanitizeValue(job.static_name) || '—', inline: true },
+      { name: 'Last Embed Hash', value: job.last_hash ? `${job.last_hash.length} chars` : '—', inline: true },
+      { name: 'Scraped Via', value: `${jobProvider(job).name} · ${job.scrape_path || 'undecided'} · ${parseJSON(job.last_scrape, null)?.source || '—'}`, inline: true },
+      { name: 'Last Error', value: when(job.last_error_at), inline: true },
+      { name: 'In Phase Since', value: when(job.phase_since), inline: true },
+      { name: 'Next Poll', value: when(job.next_poll_at), inline: true },
+      { name: 'ETA', value: when(job.eta_at), inline: true },
+      { name: 'First ETA', value: when(job.eta_first_at), inline: true },
+      {
+        name: 'ETA Drift',
+        value: job.eta_first_at && job.eta_at
+          ? `${minutesBetween(job.eta_first_at, job.eta_at)} min over ${parseJSON(job.eta_history, []).length} estimate(s)`
+          : '—',
+        inline: true,
+      },
+      { name: 'Error Streak', value: String(job.error_streak || 0), inline: true },
+      { name: 'Stale Warning', value: when(job.stale_warned_at), inline: true },
+      { name: 'Created', value: when(job.created_at), inline: true },
+      { name: 'Updated', value: when(job.updated_at), inline: true },
+    );
+  return i.reply({ embeds: [embed], flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } });
+}
+
+async function handleTrackingCapture(i) {
+  if (!CAPTURE_DIR) return ephemeralTo(i, 'ℹ️ Capture mode is off (set `CAPTURE_DIR` to enable it).');
+  // Captures hold the customer's full order page, so staff only
+  if (!isTrackerStaff(actorFor(i), guildSettings(i.guildId))) return ephemeralTo(i, '⛔ Only staff can fetch page captures.');
+  const { job, error } = findJobForInteraction(i, i.options.getString('message'));
+  if (error) return ephemeralTo(i, error);
+  const cap = await latestCapture(CAPTURE_DIR, job.id);
+  if (!cap) return ephemeralTo(i, `ℹ️ No captures saved for tracker #${job.id} yet.`);
+  audit(job.guild_id, `<@${i.user.id}> fetched capture \`${cap.stem}\` for tracker ${trackerRef(job)}`);
+  return i.reply({
+    content: `📸 Latest capture for tracker #${job.id} (\`${cap.stem}\`)`,
+    files: cap.files.map((f) => new AttachmentBuilder(f)),
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/* ─────────────── /history ─────────────── */
+const STATUS_ICON = { delivered: '✅', cancelled: '❌', login_required: '🔒', untracked: '🛑', stale: '💤', channel_gone: '🗑️' };
+
+// 'YYYY-MM-DD' -> ISO at UTC midnight (+ dayOffset days); null if blank, undefined if invalid
+function parseDay(v, dayOffset = 0) {
+  if (!v) return null;
+  const m = v.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return undefined;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3] + dayOffset));
+  return Number.isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+function buildHistoryEmbed(h, settings = DEFAULT_SETTINGS) {
+  const timeline = parseJSON(h.phase_log, [])
+    .map((p) => `${discordTs(p.at, 'T')} ${phaseLabel(p.phase)}`).join('\n');
+  const cart = parseJSON(h.cart, [])
+    .map((t) => sanitizeValue(t, 110)).filter(Boolean).map((x) => '• ' + x).join('\n');
+  const user = (id) => (id ? `<@${id}>` : '—');
+  const fields = [
+    { name: 'Status', value: `${STATUS_ICON[h.final_status] || ''} ${h.final_status}`.trim(), inline: true },
+    { name: `${settings.store_emoji} Store`, value: sanitizeValue(h.store) || '—', inline: true },
+    { name: '👤 Name', value: sanitizeValue(h.customer_name) || '—', inline: true },
+    { name: 'Requester', value: user(h.requester_user_id), inline: true },
+    { name: 'Assignee', value: user(h.assignee_user_id), inline: true },
+    { name: 'Channel', value: `<#${h.channel_id}>`, inline: true },
+    { name: 'Started', value: discordTs(h.created_at, 'f'), inline: true },
+    { name: h.delivered_at ? 'Delivered' : 'Finished', value: discordTs(h.delivered_at || h.finished_at, 'f'), inline: true },
+    { name: '🕒 Phase Timeline', value: sanitizeValue(timeline) || '—', inline: false },
+  ];
+  const etas = parseJSON(h.eta_history, []);
+  if (h.eta_first_at) {
+    const last = etas.at(-1)?.eta || h.eta_first_at;
+    fields.push({
+      name: '⏳ ETA',
+      value: `First ${discordTs(h.eta_first_at, 't')} → last ${discordTs(last, 't')} (${minutesBetween(h.eta_first_at, last)} min drift, ${etas.length} estimate(s))`,
+      inline: false,
+    });
+  }
+  if (cart) fields.push({ name: '🛒 Cart', value: sanitizeValue(cart), inline: false });
+  return new EmbedBuilder()
+    .setColor(0x95a5a6)
+    .setTitle(`📜 Order History #${h.id}`)
+    .setURL(h.url)
+    .addFields(fields);
+}
+
+async function handleHistory(i) {
+  if (!isTrackerStaff(actorFor(i), guildSettings(i.guildId))) return ephemeralTo(i, '⛔ Only staff can search order history.');
+  const id = i.options.getInteger('id');
+  if (id) {
+    const h = DB.getHistoryById(id);
+    if (!h || h.guild_id !== i.guildId) return ephemeralTo(i, '⚠️ No history record with that ID.');
+    return i.reply({ embeds: [buildHistoryEmbed(h, guildSettings(h.guild_id))], flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } });
+  }
+
+  const from = parseDay(i.options.getString('from'));
+  const to = parseDay(i.options.getString('to'), 1); // inclusive end day
+  if (from === undefined || to === undefined) return ephemeralTo(i, '❌ Dates must look like `2025-01-31`.');
+
+  const rows = DB.searchHistory({
+    guild_id: i.guildId,
+    user_id: i.options.getUser('user')?.id || null,
+    store: i.options.getString('store')?.trim() || null,
+    from, to,
+  });
+  if (!rows.length) return ephemeralTo(i, 'ℹ️ No finished orders match those filters.');
+
+  const lines = rows.map((h) =>
+    `\`#${h.id}\` ${STATUS_ICON[h.final_status] || ''} **${sanitizeValue(h.store, 60) || 'Unknown store'}**` +
+    ` — ${sanitizeValue(h.customer_name, 60) || 'Unknown'} — <#${h.channel_id}> — ${discordTs(h.finished_at)}`
+  );
+  return ephemeralTo(i, `📜 **Order history** (latest ${rows.length}) — use \`/history id:<n>\` for details\n${lines.join('\n')}`.slice(0, 2000));
+}
+
+/* ─────────────── /config ─────────────── */
+async function handleConfig(i) {
+  if (!i.memberPermissions?.has(PermissionsBitField.Flags.ManageGuild)) {
+    return ephemeralTo(i, '⛔ You need **Manage Server** to change tracker settings.');
+  }
+  const sub = i.options.getSubcommand();
+  if (sub === 'view') {
+    const row = DB.getGuildSettings(i.guildId) || {};
+    const eff = guildSettings(i.guildId);
+    const lines = Object.entries(GUILD_SETTINGS).map(([key, { label }]) =>
+      `**${label}** (\`${key}\`): ${formatSettingValue(key, eff[key])}${row[key] != null ? '' : ' *(default)*'}`);
+    return i.reply({ content: lines.join('\n'), flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } });
+  }
+
+  const key = i.options.getString('setting', true);
+  const { label, kind } = GUILD_SETTINGS[key];
+  if (sub === 'reset') {
+    DB.setGuildSetting(i.guildId, key, null, i.user.id);
+    settingsCache.delete(i.guildId);
+    audit(i.guildId, `<@${i.user.id}> reset config \`${key}\` to the default`);
+    return ephemeralTo(i, `↩️ **${label}** reset to the default (${formatSettingValue(key, DEFAULT_SETTINGS[key])}).`);
+  }
+
+  let value;
+  try { value = parseSettingValue(key, i.options.getString('value', true)); }
+  catch (e) { return ephemeralTo(i, `❌ ${e.message}`); }
+  if (kind === 'channel') {
+    const ch = await i.guild.channels.fetch(value).catch(() => null);
+    if (!ch?.isTextBased()) return ephemeralTo(i, '❌ That channel is not a text channel in this server.');
+  }
+  for (const roleId of kind === 'role' || kind === 'roles' ? value.split(',') : []) {
+    if (!(await i.guild.roles.fetch(roleId).catch(() => null))) return ephemeralTo(i, `❌ Role \`${roleId}\` does not exist in this server.`);
+  }
+  DB.setGuildSetting(i.guildId, key, value, i.user.id);
+  settingsCache.delete(i.guildId);
+  audit(i.guildId, `<@${i.user.id}> set config \`${key}\` to ${formatSettingValue(key, value)}`);
+  return i.reply({
+    content: `✅ **${label}** set to ${formatSettingValue(key, value)}. Active trackers pick it up on their next update.`,
+    flags: MessageFlags.Ephemeral,
+    allowedMentions: { parse: [] },
+  });
+}
+
+/* ─────────────── /webhook ─────────────── */
+async function handleWebhook(i) {
+  if (!i.memberPermissions?.has(PermissionsBitField.Flags.ManageGuild)) {
+    return ephemeralTo(i, '⛔ You need **Manage Server** to manage webhooks.');
+  }
+  const sub = i.options.getSubcommand();
+  if (sub === 'list') {
+    const hooks = webhooks.listHooks(i.guildId);
+    if (!hooks.length) return ephemeralTo(i, 'No webhooks configured. Add one with `/webhook add`.');
+    const { pending } = webhooks.stats();
+    const lines = hooks.map(h =>
+      `**#${h.id}** ${h.url} · ${h.channel_id ? `<#${h.channel_id}>` : 'all channels'} · ${h.events ? h.events.split(',').join(', ') : 'all events'}`);
+    return ephemeralTo(i, [...lines, `-# ${pending} deliveries pending`].join('\n'));
   }
+  if (sub === 'remove') {
+    const id = i.options.getInteger('id', true);
+    if (!webhooks.removeHook(i.guildId, id)) return ephemeralTo(i, `❌ No webhook #${id} in this server.`);
+    audit(i.guildId, `<@${i.user.id}> removed webhook #${id}`);
+    return ephemeralTo(i, `🗑️ Webhook #${id} removed.`);
+  }
+
+  const url = i.options.getString('url', true).trim();
+  let parsed = null;
+  try { parsed = new URL(url); } catch {}
+  if (!parsed || !/^https?:$/.test(parsed.protocol)) return ephemeralTo(i, '❌ Please provide an `http(s)://` URL.');
+  const eventList = (i.options.getString('events') || '').split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = eventList.filter(e => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) return ephemeralTo(i, `❌ Unknown event(s): ${unknown.join(', ')}. Valid: ${WEBHOOK_EVENTS.join(', ')}`);
+  const channel = i.options.getChannel('channel');
+
+  const { id, secret } = webhooks.addHook({ guild_id: i.guildId, channel_id: channel?.id || null, url, events: eventList });
+  audit(i.guildId, `<@${i.user.id}> added webhook #${id} → ${parsed.origin} (${channel ? `<#${channel.id}>` : 'all channels'})`);
+  return ephemeralTo(i, [
+    `✅ Webhook #${id} added for ${channel ? `<#${channel.id}>` : 'all channels'}.`,
+    `Signing secret (shown once): \`${secret}\``,
+    'Verify `X-Tracker-Signature` = `sha256=` + HMAC-SHA256(secret, `<X-Tracker-Timestamp>.<body>`).',
+  ].join('\n'));
 }
 
 /* ─────────────── Interactions ─────────────── */
+// DM replies from subscribers: "mute" / "unmute" (all of their orders)
+client.on('messageCreate', async (m) => {
+  if (m.guildId || m.author.bot) return;
+  const cmd = parseDmCommand(m.content);
+  if (!cmd) return;
+  const n = DB.setMutedForUser(m.author.id, cmd === 'mute');
+  await m.reply(n
+    ? (cmd === 'mute' ? `🔇 Muted DM updates for ${n} order(s). Reply \`unmute\` to resume.` : `🔔 DM updates resumed for ${n} order(s).`)
+    : 'ℹ️ You are not following any active orders.').catch(() => {});
+});
+// Bridge acks from 116-bot (channel transport)
+client.on('messageCreate', (m) => {
+  if (!bridge || !BRIDGE_CHANNEL_ID || m.channelId !== BRIDGE_CHANNEL_ID || m.author.id === client.user?.id) return;
+  if (bridge.handleChannelMessage(m.content)) dbg('bridge ack', { content: m.content.slice(0, 60) });
+});
+
 client.on('interactionCreate', async (i) => {
   try {
+    if (i.isChatInputCommand() && i.commandName === 'history') return await handleHistory(i);
+    if (i.isChatInputCommand() && i.commandName === 'untrack') return await handleUntrack(i);
+    if (i.isChatInputCommand() && i.commandName === 'webhook') return await handleWebhook(i);
+    if (i.isChatInputCommand() && i.commandName === 'config') return await handleConfig(i);
+    if (i.isChatInputCommand() && i.commandName === 'tracking') {
+      const sub = i.options.getSubcommand();
+      if (sub === 'list') return await handleTrackingList(i);
+      if (sub === 'info') return await handleTrackingInfo(i);
+      if (sub === 'capture') return await handleTrackingCapture(i);
+      return;
+    }
+
     // --- Slash /track ---
     if (i.isChatInputCommand()) {
       if (i.commandName !== 'track') return;
@@ -823,80 +2026,109 @@ client.on('interactionCreate', async (i) => {
       const url = i.options.getString('url', true).trim();
 
       // Validate URL early
-      if (!/^https?:\/\/(www\.)?ubereats\.com\/orders\//i.test(url)) {
-        return ephemeralTo(i, '❌ Please provide a **public Uber Eats order link** like `https://www.ubereats.com/orders/...`');
+      if (!providerFor(url)) {
+        const examples = PROVIDERS.map((p) => `\`${p.example}\``).join(', ');
+        return ephemeralTo(i, `❌ Please provide a **public ${providerNames()} order link**, for example ${examples}`);
       }
+      if (!i.guildId) return ephemeralTo(i, '❌ Trackers can only be started in a server channel.');
+      const perm = canStartTracker(actorFor(i), guildSettings(i.guildId));
+      if (!perm.ok) return ephemeralTo(i, `⛔ ${perm.reason}`);
 
       await ephemeralTo(i, 'Starting tracker…');
 
+      let msg;
       try {
-        await startJob(i.channel, url, i.user.id);
+        msg = await startJob(i.channel, url, i.user.id);
       } catch (e) {
         await ephemeralTo(i, `❌ Could not start tracker: \`${String(e?.message || e)}\``);
         return;
       }
+      audit(i.guildId, `<@${i.user.id}> started tracker ${trackerRef(DB.getByMessageId(msg.id))} in <#${i.channel.id}>`);
 
-      // 🔔 Trigger 116-bot's /completed immediately (bridge message in same ticket)
-      try {
-        const dedupeId = `track-${i.id}`;   // in-memory dedupe key on 116-bot
-        await notifyCompletedInChannel(client, i.channel.id, {
-          userId: i.user.id,       // actor (staff) who ran /track
-          orderId: dedupeId,       // used only for dedupe; not stored
-          total: 0,                // unknown now; not stored
-          secret: BRIDGE_SECRET,   // must match 116-bot
-        });
-      } catch (e) {
-        err('immediate /completed trigger failed:', e?.message || e);
-      }
-
-      await ephemeralTo(i, `✅ Started tracking: \`${url.split('/').pop()}\``);
+      await ephemeralTo(i, `✅ Started tracking ${providerFor(url).name}: \`${orderRef(url)}\``);
       return;
     }
 
-    // --- Button: DM UPDATES toggle (enable/disable & persist) ---
-    if (i.isButton() && i.customId === 'dm-updates') {
-      const messageId = i.message?.id;
-      const job = DB.getByMessageId(messageId);
-      if (!job) {
-        return i.reply({ content: '⚠️ This tracking session was not found.', flags: MessageFlags.Ephemeral });
-      }
-
-      const st = states.get(messageId) || {};
-      const currently = st.dmUserId || job.dm_user_id || null;
-
-      if (currently === i.user.id) {
-        // toggle OFF
-        st.dmUserId = null;
-        states.set(messageId, st);
-        DB.updateByMessageId(messageId, { dm_user_id: null });
+    // --- Button: Keep tracking (reset the stale watchdog) ---
+    if (i.isButton() && i.customId === 'keep-tracking') {
+      const job = DB.getByMessageId(i.message?.id);
+      if (!job) return ephemeralTo(i, '⚠️ This tracking session was not found.');
+      const perm = canControlTracker(actorFor(i), job, guildSettings(job.guild_id));
+      if (!perm.ok) return ephemeralTo(i, `⛔ ${perm.reason}`);
+      // last_hash=null forces the next scrape to redraw the embed without the stale notice
+      DB.updateByMessageId(job.message_id, { phase_since: nowIso(), error_streak: 0, stale_warned_at: null, last_hash: null });
+      const fullCart = cartOverflows(parseJSON(job.last_scrape, null));
+      await i.message.edit({ components: [controlsRow(job, DB.getSubscribers(job.id).length, { fullCart })] }).catch(() => {});
+      const entry = schedule.get(job.message_id);
+      if (entry && entry.dueAt !== Infinity) entry.dueAt = Date.now(); // rescrape now
+      audit(job.guild_id, `<@${i.user.id}> pressed Keep tracking on ${trackerRef(job)}`);
+      return ephemeralTo(i, '⏱️ Got it — tracking continues and the stale timer was reset.');
+    }
 
-        try {
-          await i.message.edit({ components: [controlsRow(job.url, false)] }).catch(() => {});
-        } catch {}
-        return i.reply({ content: '🔕 DM updates disabled for this order.', flags: MessageFlags.Ephemeral });
-      } else {
-        // toggle ON (to this clicker)
-        st.dmUserId = i.user.id;
-        states.set(messageId, st);
-        DB.updateByMessageId(messageId, { dm_user_id: i.user.id });
+    // --- Button: View full cart (ephemeral, paginated) ---
+    if (i.isButton() && i.customId === 'view-cart') {
+      const job = DB.getByMessageId(i.message?.id);
+      if (!job) return ephemeralTo(i, '⚠️ This tracking session was not found.');
+      const data = parseJSON(job.last_scrape, null);
+      if (!data?.items?.length) return ephemeralTo(i, 'ℹ️ No cart details have been read from this order yet.');
+      return i.reply({ ...cartPanel(job, data), flags: MessageFlags.Ephemeral });
+    }
+    const cartPage = i.isButton() && /^cart-page:(\d+):(-?\d+)$/.exec(i.customId);
+    if (cartPage) {
+      const job = DB.getById(Number(cartPage[1]));
+      const data = job && parseJSON(job.last_scrape, null);
+      if (!data?.items?.length) return i.update({ content: 'ℹ️ This order is no longer being tracked.', embeds: [], components: [] });
+      return i.update(cartPanel(job, data, Number(cartPage[2])));
+    }
 
-        try {
-          await i.message.edit({ components: [controlsRow(job.url, true)] }).catch(() => {});
-        } catch {}
+    // --- Button: DM UPDATES (subscribe, or open your preferences) ---
+    if (i.isButton() && i.customId === 'dm-updates') {
+      const job = DB.getByMessageId(i.message?.id);
+      if (!job) return ephemeralTo(i, '⚠️ This tracking session was not found.');
+
+      let sub = DB.getSubscriber(job.id, i.user.id);
+      if (!sub) {
+        const perm = canClaimDm(actorFor(i), job, guildSettings(job.guild_id));
+        if (!perm.ok) return ephemeralTo(i, `⛔ ${perm.reason}`);
+        DB.addSubscriber(job.id, i.user.id);
+        sub = DB.getSubscriber(job.id, i.user.id);
+        await refreshControls(job, i.message);
+        audit(job.guild_id, `<@${i.user.id}> subscribed to DM updates for ${trackerRef(job)}`);
 
         // Try to DM immediately so the user knows it's working
-        let dmOk = true;
-        try {
-          const u = await client.users.fetch(i.user.id).catch(() => null);
-          if (u) await u.send('✅ You will receive **DM updates** for this order. I’ll only ping in the ticket when it’s **delivered**.').catch(() => { dmOk = false; });
-          else dmOk = false;
-        } catch { dmOk = false; }
-
-        return i.reply({
-          content: dmOk ? '✅ DM updates enabled.' : '⚠️ I could not DM you. Please enable DMs from server members and click again.',
-          flags: MessageFlags.Ephemeral,
-        });
+        const u = await client.users.fetch(i.user.id).catch(() => null);
+        const dmOk = !!u && await u.send({
+          content: `✅ You will receive **DM updates** for ${trackerRef(job)}. Reply \`mute\` any time to pause them.`,
+          components: [dmNoticeRow(job)],
+        }).then(() => true, () => false);
+        if (!dmOk) {
+          M.dmFailures.inc();
+          return ephemeralTo(i, '⚠️ You are subscribed, but I could not DM you. Please enable DMs from server members.');
+        }
+      }
+      return i.reply({ ...subscriberPanel(job, sub), flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } });
+    }
+
+    // --- Subscriber preferences (panel in the ticket, or the Mute button under a DM) ---
+    const pref = (i.isButton() || i.isStringSelectMenu()) && /^dm-(level|mute|unsub):(\d+)$/.exec(i.customId);
+    if (pref) {
+      const [, action, jobId] = pref;
+      const job = DB.getById(Number(jobId));
+      const sub = job && DB.getSubscriber(job.id, i.user.id);
+      if (!sub) return ephemeralTo(i, 'ℹ️ You are not subscribed to this order (it may have finished).');
+
+      if (action === 'unsub') {
+        DB.removeSubscriber(job.id, i.user.id);
+        await refreshControls(job);
+        const done = { content: `🔕 Unsubscribed from ${trackerRef(job)}.`, components: [] };
+        return i.guildId ? i.update(done) : ephemeralTo(i, done.content);
       }
+      if (action === 'level') DB.updateSubscriber(job.id, i.user.id, { level: i.values[0] });
+      if (action === 'mute') DB.updateSubscriber(job.id, i.user.id, { muted: sub.muted ? 0 : 1 });
+      const next = DB.getSubscriber(job.id, i.user.id);
+      // From a DM notice: confirm without replacing the notice itself
+      if (!i.guildId) return ephemeralTo(i, next.muted ? `🔇 Muted ${trackerRef(job)}. Press again to unmute.` : `🔔 Unmuted ${trackerRef(job)}.`);
+      return i.update({ ...subscriberPanel(job, next), allowedMentions: { parse: [] } });
     }
   } catch (e) {
     await ephemeralTo(i, `❌ Error: \`${String(e?.message || e)}\``);
@@ -908,16 +2140,101 @@ client.on('interactionCreate', async (i) => {
 const ACTUAL_PORT = Number(process.env.PORT) || 3000; // Railway injects PORT at runtime
 const app = express();
 
+metrics.gauge('active_jobs', 'Trackers currently scheduled', () => schedule.size);
+metrics.gauge('scrape_queue_length', 'Jobs due and waiting for a pooled page', () => queue.length);
+metrics.gauge('browser_up', '1 while the shared browser is connected', () => (_browser?.connected && !browserHealth.down ? 1 : 0));
+metrics.gauge('webhook_deliveries_pending', 'Outbound webhook deliveries waiting to be sent or retried', () => webhooks.stats().pending);
+
+app.get('/metrics', (_req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
 app.get('/health', (_req, res) => {
-  res.json({
-    ok: true,
+  // _browser is launched lazily, so "never started" is not degraded
+  const verdict = healthVerdict({ browserDown: browserHealth.down || (!!_browser && !_browser.connected), recent: recentScrapes });
+  res.status(verdict.ok ? 200 : 503).json({
+    ...verdict,
     ts: new Date().toISOString(),
     pid: process.pid,
     port: ACTUAL_PORT,
+    scheduler: schedulerStats(),
+    webhooks: webhooks.stats(),
+    bridge: bridge ? bridge.stats() : null,
+    browser: { connected: !!_browser?.connected, ...browserHealth },
   });
 });
 app.get('/', (_req, res) => res.status(200).send('OK'));
 
+// --- REST API (same DB layer + runtime maps as the slash commands) ---
+function serializeJob(row) {
+  const st = states.get(row.message_id) || {};
+  return {
+    id: row.id,
+    url: row.url,
+    provider: jobProvider(row).id,
+    guild_id: row.guild_id,
+    channel_id: row.channel_id,
+    message_id: row.message_id,
+    message_url: messageLink(row),
+    phase: st.lastPhase ?? row.last_phase,
+    assignee_user_id: st.assigneeUserId ?? row.assignee_user_id,
+    requester_user_id: row.requester_user_id,
+    subscribers: DB.getSubscribers(row.id).map(({ user_id, level, muted }) => ({ user_id, level, muted: !!muted })),
+    customer_name: row.static_name,
+    store: row.store,
+    eta_at: row.eta_at,
+    eta_first_at: row.eta_first_at,
+    next_poll_at: row.next_poll_at,
+    error_streak: row.error_streak || 0,
+    stale: !!row.stale_warned_at,
+    scheduled: schedule.has(row.message_id),
+    scrape_path: row.scrape_path || null,
+    last_scrape: parseJSON(row.last_scrape, null),
+    last_scrape_at: row.last_scrape_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+const apiJobs = {
+  list: ({ guild_id }) => (guild_id ? DB.getByGuildId(guild_id) : DB.getAll()).map(serializeJob),
+  get: (id) => { const row = DB.getById(id); return row ? serializeJob(row) : null; },
+  async start({ url, channel_id, requester_user_id }) {
+    if (!providerFor(url)) throw new ApiError(400, `url must be a public ${providerNames()} order link`);
+    const channel = await client.channels.fetch(channel_id).catch(() => null);
+    if (!channel?.isTextBased() || !channel.guild) throw new ApiError(404, 'channel not found');
+    const msg = await startJob(channel, url, requester_user_id);
+    const row = DB.getByMessageId(msg.id);
+    audit(row.guild_id, `API started tracker ${trackerRef(row)} in <#${channel_id}>`);
+    return serializeJob(row);
+  },
+  async stop(id) {
+    const row = DB.getById(id);
+    if (!row) return false;
+    await untrackJob(row, 'API');
+    audit(row.guild_id, `API stopped tracker ${trackerRef(row)}`);
+    return true;
+  },
+  async update(id, patch) {
+    const row = DB.getById(id);
+    if (!row) return null;
+    if ('assignee_user_id' in patch) setAssignee(row, patch.assignee_user_id);
+    // dm_user_id: add that user as a subscriber; null removes every subscriber
+    if ('dm_user_id' in patch) {
+      if (patch.dm_user_id) DB.addSubscriber(row.id, patch.dm_user_id);
+      else DB.clearSubscribers(row.id);
+      await refreshControls(row);
+    }
+    audit(row.guild_id, `API updated tracker ${trackerRef(row)}: ${Object.entries(patch).map(([k, v]) => `${k}=${v ? `<@${v}>` : 'none'}`).join(', ')}`);
+    return serializeJob(DB.getById(id));
+  },
+};
+if (process.env.API_TOKEN) {
+  app.use('/jobs', createJobsRouter({ token: process.env.API_TOKEN, jobs: apiJobs }));
+  // SSE: GET /events?guild_id=…&job_id=…&types=phase_changed,delivered
+  app.get('/events', bearerAuth(process.env.API_TOKEN, { allowQuery: true }), createEventStreamHandler(events));
+} else {
+  log('ℹ️ REST API disabled (set API_TOKEN to enable /jobs and /events)');
+}
+
 app.listen(ACTUAL_PORT, () => console.log(`🌐 HTTP listening on :${ACTUAL_PORT}`));
 
 // --- Global error handlers / ops notify ---
@@ -933,20 +2250,27 @@ process.on('uncaughtException',  (e) => {
 // --- Boot ---
 log('🚀 Boot', {
   node: process.version,
-  DEBUG, GUILD_ID: process.env.GUILD_ID, APP_ID: process.env.DISCORD_APP_ID,
-  PORT: ACTUAL_PORT, POLL_INTERVAL_MS, DB_PATH, THEME, SCRAPE_DELAY_MS,
+  DEBUG, APP_ID: process.env.DISCORD_APP_ID,
+  PORT: ACTUAL_PORT, POLL_INTERVAL_MS, SCRAPE_CONCURRENCY, TIMEZONE: DEFAULT_SETTINGS.timezone, DB_PATH, THEME: DEFAULT_SETTINGS.theme, SCRAPE_DELAY_MS,
 });
 
 await (async () => {
-  try { await registerCommands(); }
-  catch (e) { err('registerCommands failed:', e); notifyOps('❌ registerCommands failed: ' + String(e?.message || e)); }
   try { await client.login(process.env.DISCORD_TOKEN); }
   catch (e) { err('client.login failed:', e); notifyOps('❌ client.login failed: ' + String(e?.message || e)); process.exit(1); }
 })();
 
 client.once('clientReady', async () => {
   log(`✅ Discord clientReady as ${client.user.tag}`);
+  startScheduler();
+  webhooks.start();
+  bridge?.start();
   await resumeAllFromDB();
+  try { await registerCommands(); }
+  catch (e) { err('registerCommands failed:', e); notifyOps('❌ registerCommands failed: ' + String(e?.message || e)); }
+});
+client.on('guildCreate', (guild) => {
+  log('➕ Joined guild', { id: guild.id, name: guild.name });
+  registerCommands([guild.id], { clearGlobal: false }).catch((e) => err('registerCommands failed:', e));
 });
 client.once('ready', async () => {
   log(`✅ Discord ready as ${client.user.tag}`);
@@ -955,11 +2279,13 @@ client.once('ready', async () => {
 // Graceful stops (Railway sends SIGTERM on deploy/stop)
 process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received — shutting down gracefully');
+  shuttingDown = true;
   try {
-    for (const [, t] of timers) clearInterval(t);
-    timers.clear();
-    for (const [, p] of pages) { try { await p.close({ runBeforeUnload: true }); } catch {} }
-    pages.clear();
+    clearInterval(tickTimer);
+    webhooks.stop();
+    bridge?.stop();
+    schedule.clear();
+    for (const p of idlePages.splice(0)) { try { await p.close({ runBeforeUnload: true }); } catch {} }
     if (_browser) await _browser.close();
   } finally {
     process.exit(0);
@@ -967,11 +2293,13 @@ process.on('SIGTERM', async () => {
 });
 process.on('SIGINT', async () => {
   console.log('🛑 SIGINT received — shutting down gracefully');
+  shuttingDown = true;
   try {
-    for (const [, t] of timers) clearInterval(t);
-    timers.clear();
-    for (const [, p] of pages) { try { await p.close({ runBeforeUnload: true }); } catch {} }
-    pages.clear();
+    clearInterval(tickTimer);
+    webhooks.stop();
+    bridge?.stop();
+    schedule.clear();
+    for (const p of idlePages.splice(0)) { try { await p.close({ runBeforeUnload: true }); } catch {} }
     if (_browser) await _browser.close();
   } finally {
     process.exit(0);
@@ -0,0 +1,65 @@
+// lib/address.js — locale-aware delivery address and unit extraction for the page parsers.
+// Order pages show whatever the customer typed, in their country's format, so we try the
+// formats we know in a fixed order (most specific first) instead of one US-only regex.
+
+const L = "\\p{L}\\p{M}"; // letters incl. accents (u flag)
+const CITY = `[${L}][${L} .'’-]*?`;
+const NUM_FIRST = `\\d{1,6}[A-Za-z]?(?:[-/]\\d{1,4}[A-Za-z]?)?\\s+[^,\\n]+`; // "1420 Oak Street", "221B Baker Street", "5/12 George St"
+const NAME_FIRST = `[${L}][${L} .'’-]*\\s\\d{1,5}[A-Za-z]?(?:[-/]\\d{1,4})?`; // "Hauptstraße 5", "Via Roma 10"
+
+const country = (names) => `(?:,\\s*(?:${names}))?`;
+
+// [code, regex] — first hit wins
+const FORMATS = [
+  ['US', new RegExp(`${NUM_FIRST},\\s*${CITY},\\s*[A-Z]{2}\\s+\\d{5}(?:-\\d{4})?${country('US|USA|United States')}`, 'u')],
+  ['CA', new RegExp(`${NUM_FIRST},\\s*${CITY},?\\s+(?:AB|BC|MB|NB|NL|NS|NT|NU|ON|PE|QC|SK|YT)\\s+[A-Z]\\d[A-Z]\\s?\\d[A-Z]\\d${country('CA|Canada')}`, 'u')],
+  ['AU', new RegExp(`${NUM_FIRST},\\s*${CITY},?\\s+(?:NSW|VIC|QLD|WA|SA|TAS|ACT|NT)\\s+\\d{4}${country('AU|Australia')}`, 'u')],
+  ['GB', new RegExp(`${NUM_FIRST},\\s*(?:${CITY},\\s*)?${CITY},?\\s+[A-Z]{1,2}\\d[A-Z\\d]?\\s?\\d[A-Z]{2}${country('UK|GB|United Kingdom|England|Scotland|Wales')}`, 'u')],
+  // EU: postcode before the city ("75001 Paris", "1012 LG Amsterdam", "00-001 Warszawa")
+  ['EU', new RegExp(`(?:${NAME_FIRST}|\\d{1,5}(?:\\s?(?:bis|ter))?,?\\s+[^,\\n]+),\\s*(?:\\d{4,5}|\\d{4}\\s?[A-Z]{2}|\\d{2}-\\d{3})\\s+${CITY}(?:\\s[A-Z]{2})?(?:,\\s*[${L} ]{2,30})?(?=$|[,\\n])`, 'u')],
+];
+
+/** First address found in `text` → { address, country } (country: US, CA, AU, GB or EU), else null. */
+export function matchAddress(text) {
+  if (!text) return null;
+  const s = String(text).replace(/\s+/g, ' ').trim();
+  for (const [code, rx] of FORMATS) {
+    const m = s.match(rx);
+    if (m) return { address: m[0].trim(), country: code };
+  }
+  return null;
+}
+
+// Unit / apartment labels as customers type them: English plus the common EU languages.
+const UNIT_LABELS = [
+  'apt', 'apartment', 'suite', 'ste', 'flat', 'unit', 'floor', 'fl', 'room', 'rm', 'bldg', 'building', // en
+  'appartement', 'appt', 'app', 'bureau', 'bâtiment', 'bat', 'étage', 'etage', 'porte', // fr
+  'wohnung', 'whg', 'stock', 'stiege', 'tür', // de
+  'piso', 'depto', 'departamento', 'puerta', 'planta', // es
+  'interno', 'int', 'scala', 'piano', // it
+  'apto', 'apartamento', 'andar', // pt
+  'verdieping', // nl
+  'lgh', 'lägenhet', // sv
+];
+const LABEL_ALT = UNIT_LABELS.map((l) => l.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).sort((a, b) => b.length - a.length).join('|');
+// "Apt 4B", "Whg. 3", "Suite: 210", "#12"
+// The value must hold a digit or be one short token, so notes like "Porte bleue" stay notes.
+const UNIT_RX = new RegExp(`^((?:${LABEL_ALT})(?![${L}])\\.?|#)\\s*[:\\-]?\\s*((?=[^\\d]*\\d)[\\p{L}\\d][\\p{L}\\d\\- .#/]{0,19}|[\\p{L}\\d]{1,4})$`, 'iu');
+// "4th floor", "3e étage", "2. Stock", "5º piso"
+const ORDINAL_FLOOR_RX = /^(\d{1,3}(?:st|nd|rd|th|e|er|ème|\.|º|ª)?)\s+(floor|étage|etage|stock|piso|planta|piano|andar|verdieping)$/iu;
+
+const cap = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+/** "Apt 4B" → "Apt: 4B", "4th floor" → "Floor: 4th"; null when the line is not a unit. */
+export function formatUnit(text) {
+  const t = text && String(text).replace(/\s+/g, ' ').trim();
+  if (!t) return null;
+  const m = t.match(UNIT_RX);
+  if (m) return `${cap(m[1].replace(/\.$/, ''))}: ${m[2].trim()}`;
+  const f = t.match(ORDINAL_FLOOR_RX);
+  if (f) return `${cap(f[2].toLowerCase())}: ${f[1]}`;
+  return null;
+}
+
+// Line starts with a unit label (used to keep units out of the free-text delivery note).
+export const isUnitLine = (text) => !!formatUnit(text);
@@ -0,0 +1,102 @@
+// lib/api.js — token-authenticated JSON API for trackers (mounted at /jobs by app.js).
+// The router only validates and shapes HTTP; every action goes through the `jobs`
+// adapter app.js passes in, which uses the same DB layer and runtime maps as the slash commands.
+import crypto from 'node:crypto';
+import express from 'express';
+
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const SNOWFLAKE_RX = /^\d{15,25}$/;
+
+// allowQuery: also accept ?token= (EventSource in browsers cannot set headers)
+export function bearerAuth(token, { allowQuery = false } = {}) {
+  const want = Buffer.from(String(token));
+  return (req, res, next) => {
+    const header = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const got = Buffer.from(header || (allowQuery && typeof req.query.token === 'string' ? req.query.token : ''));
+    if (got.length === want.length && crypto.timingSafeEqual(got, want)) return next();
+    res.status(401).json({ error: 'unauthorized' });
+  };
+}
+
+// Optional snowflake field: undefined = not given, null = clear it.
+function snowflakeField(body, key, { required = false } = {}) {
+  const v = body[key];
+  if (v === undefined) {
+    if (required) throw new ApiError(400, `${key} is required`);
+    return undefined;
+  }
+  if (v === null && !required) return null;
+  if (typeof v !== 'string' || !SNOWFLAKE_RX.test(v)) throw new ApiError(400, `${key} must be a Discord ID string`);
+  return v;
+}
+
+/**
+ * jobs adapter (all may be async):
+ *   list({ guild_id })                         → job[]
+ *   get(id)                                    → job | null
+ *   start({ url, channel_id, requester_user_id }) → job
+ *   stop(id)                                   → boolean (false = not found)
+ *   update(id, { assignee_user_id?, dm_user_id? }) → job | null   (dm_user_id adds a DM subscriber; null clears them)
+ */
+export function createJobsRouter({ token, jobs }) {
+  const r = express.Router();
+  r.use(bearerAuth(token));
+  r.use(express.json({ limit: '32kb' }));
+  const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res)).catch(next);
+  const idParam = (req) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) throw new ApiError(404, 'job not found');
+    return id;
+  };
+
+  r.get('/', wrap(async (req, res) => {
+    res.json({ jobs: await jobs.list({ guild_id: req.query.guild_id || null }) });
+  }));
+
+  r.get('/:id', wrap(async (req, res) => {
+    const job = await jobs.get(idParam(req));
+    if (!job) throw new ApiError(404, 'job not found');
+    res.json({ job });
+  }));
+
+  r.post('/', wrap(async (req, res) => {
+    const body = req.body || {};
+    if (typeof body.url !== 'string' || !body.url.trim()) throw new ApiError(400, 'url is required');
+    const job = await jobs.start({
+      url: body.url.trim(),
+      channel_id: snowflakeField(body, 'channel_id', { required: true }),
+      requester_user_id: snowflakeField(body, 'requester_user_id') ?? null,
+    });
+    res.status(201).json({ job });
+  }));
+
+  r.delete('/:id', wrap(async (req, res) => {
+    if (!(await jobs.stop(idParam(req)))) throw new ApiError(404, 'job not found');
+    res.json({ ok: true });
+  }));
+
+  r.patch('/:id', wrap(async (req, res) => {
+    const body = req.body || {};
+    const patch = {};
+    const assignee = snowflakeField(body, 'assignee_user_id');
+    const dm = snowflakeField(body, 'dm_user_id');
+    if (assignee !== undefined) patch.assignee_user_id = assignee;
+    if (dm !== undefined) patch.dm_user_id = dm;
+    if (!Object.keys(patch).length) throw new ApiError(400, 'nothing to update (assignee_user_id, dm_user_id)');
+    const job = await jobs.update(idParam(req), patch);
+    if (!job) throw new ApiError(404, 'job not found');
+    res.json({ job });
+  }));
+
+  r.use((e, _req, res, _next) => {
+    const status = e.status || (e.type === 'entity.parse.failed' ? 400 : 500);
+    res.status(status).json({ error: status === 500 ? 'internal error' : e.message });
+  });
+  return r;
+}
@@ -0,0 +1,184 @@
+// lib/bridge.js — signed, acknowledged bridge to the 116-bot.
+// Replaces the old `!completed {json,secret}` ticket message: the secret never travels, every
+// message is versioned and HMAC-signed, and it is re-sent from the bridge_outbox table until the
+// other side acknowledges its id (receivers must dedupe on `id`).
+//
+// Envelope (JSON body):  { v: 1, id, type, at, data }
+// HTTP transport:        POST <url>, X-Bridge-Version: 1, X-Bridge-Signature: sha256=<HMAC(secret, body)>
+//                        acknowledged by a 2xx reply whose JSON body is { "ack": "<id>" }
+// Channel transport:     `!bridge 1 <base64url(body)> <hex HMAC(secret, body)>` in a private channel,
+//                        acknowledged by `!bridge-ack <id> <hex HMAC(secret, "ack:" + id)>`
+import crypto from 'node:crypto';
+import { backoffMs } from './webhooks.js';
+
+export const BRIDGE_VERSION = 1;
+export const BRIDGE_EVENTS = ['tracking_started', 'delivered'];
+
+const hmac = (secret, s) => crypto.createHmac('sha256', secret).update(s).digest('hex');
+const sameHex = (a, b) => {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+export function signBridge(secret, body) {
+  return hmac(secret, body);
+}
+
+export function formatChannelMessage(secret, body) {
+  return `!bridge ${BRIDGE_VERSION} ${Buffer.from(body).toString('base64url')} ${signBridge(secret, body)}`;
+}
+
+// Receiver side of the channel transport; returns the envelope or null if unsigned/forged.
+export function parseChannelMessage(secret, text) {
+  const m = /^!bridge (\d+) ([\w-]+) ([0-9a-f]{64})$/.exec(String(text).trim());
+  if (!m) return null;
+  const body = Buffer.from(m[2], 'base64url').toString('utf8');
+  if (!sameHex(m[3], signBridge(secret, body))) return null;
+  try { return JSON.parse(body); } catch { return null; }
+}
+
+export function ackText(secret, id) {
+  return `!bridge-ack ${id} ${hmac(secret, `ack:${id}`)}`;
+}
+
+export function parseAck(secret, text) {
+  const m = /^!bridge-ack (\S+) ([0-9a-f]{64})$/.exec(String(text).trim());
+  return m && sameHex(m[2], hmac(secret, `ack:${m[1]}`)) ? m[1] : null;
+}
+
+function ensureSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bridge_outbox (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      body TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL,
+      last_error TEXT,
+      acked_at TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_bridge_outbox_due ON bridge_outbox(acked_at, next_attempt_at);
+  `);
+}
+
+// transport: { url } for HTTP or { postToChannel(text) } for the private-channel transport.
+export function createBridge({
+  db,
+  secret,
+  transport,
+  fetchImpl = globalThis.fetch,
+  ackTimeoutMs = 60_000,
+  timeoutMs = 10_000,
+  alertAfter = 10,
+  keepAckedMs = 7 * 24 * 60 * 60_000,
+  onStuck = () => {},
+  log = () => {},
+}) {
+  if (!secret) throw new Error('bridge: secret is required');
+  if (!transport?.url && !transport?.postToChannel) throw new Error('bridge: need transport.url or transport.postToChannel');
+  ensureSchema(db);
+  const iso = (ms = Date.now()) => new Date(ms).toISOString();
+  const stats = { sent: 0, acked: 0, failed: 0 };
+  let timer = null;
+  let busy = false;
+
+  const markAcked = (id) => {
+    const n = db.prepare('UPDATE bridge_outbox SET acked_at = ? WHERE id = ? AND acked_at IS NULL').run(iso(), id).changes;
+    if (n) stats.acked++;
+    return n > 0;
+  };
+
+  // Resolves true when the HTTP peer acked in-band; channel acks arrive later via handleChannelMessage.
+  async function deliver(row) {
+    if (!transport.url) {
+      await transport.postToChannel(formatChannelMessage(secret, row.body));
+      return false;
+    }
+    const ctl = new AbortController();
+    const t = setTimeout(() => ctl.abort(), timeoutMs);
+    try {
+      const res = await fetchImpl(transport.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Bridge-Version': String(BRIDGE_VERSION),
+          'X-Bridge-Signature': 'sha256=' + signBridge(secret, row.body),
+        },
+        body: row.body,
+        signal: ctl.signal,
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const reply = await res.json().catch(() => null);
+      if (reply?.ack !== row.id) throw new Error('no ack in response');
+      return true;
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  return {
+    // Queue one event; returns its envelope id.
+    send(type, data) {
+      if (!BRIDGE_EVENTS.includes(type)) throw new Error(`bridge: unknown event ${type}`);
+      const id = crypto.randomUUID();
+      const at = iso();
+      const body = JSON.stringify({ v: BRIDGE_VERSION, id, type, at, data });
+      db.prepare('INSERT INTO bridge_outbox (id, type, body, next_attempt_at, created_at) VALUES (?, ?, ?, ?, ?)')
+        .run(id, type, body, at, at);
+      return id;
+    },
+
+    // Feed every message seen in the bridge channel; true when it was a valid ack.
+    handleChannelMessage(text) {
+      const id = parseAck(secret, text);
+      return id ? markAcked(id) : false;
+    },
+
+    async processDue(now = Date.now()) {
+      if (busy) return 0;
+      busy = true;
+      try {
+        db.prepare('DELETE FROM bridge_outbox WHERE acked_at IS NOT NULL AND acked_at < ?').run(iso(now - keepAckedMs));
+        const due = db.prepare('SELECT * FROM bridge_outbox WHERE acked_at IS NULL AND next_attempt_at <= ? ORDER BY created_at LIMIT 50').all(iso(now));
+        for (const row of due) {
+          const attempts = row.attempts + 1;
+          try {
+            const acked = await deliver(row);
+            stats.sent++;
+            if (acked) markAcked(row.id);
+            // channel transport: wait for the ack, then send again
+            db.prepare('UPDATE bridge_outbox SET attempts = ?, last_error = NULL, next_attempt_at = ? WHERE id = ?')
+              .run(attempts, iso(Date.now() + Math.max(ackTimeoutMs, backoffMs(attempts))), row.id);
+          } catch (e) {
+            const msg = String(e?.name === 'AbortError' ? 'timeout' : e?.message || e);
+            stats.failed++;
+            db.prepare('UPDATE bridge_outbox SET attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?')
+              .run(attempts, msg, iso(Date.now() + backoffMs(attempts)), row.id);
+            log('bridge retry scheduled', { id: row.id, attempts, error: msg });
+          }
+          if (attempts === alertAfter) {
+            const last = db.prepare('SELECT acked_at, last_error FROM bridge_outbox WHERE id = ?').get(row.id);
+            if (!last?.acked_at) onStuck({ id: row.id, type: row.type, attempts, error: last?.last_error || 'not acknowledged' });
+          }
+        }
+        return due.length;
+      } finally {
+        busy = false;
+      }
+    },
+
+    start(intervalMs = 5_000) {
+      if (!timer) timer = setInterval(() => this.processDue().catch(() => {}), intervalMs);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    stats() {
+      const pending = db.prepare('SELECT COUNT(*) AS n FROM bridge_outbox WHERE acked_at IS NULL').get().n;
+      return { transport: transport.url ? 'http' : 'channel', pending, ...stats };
+    },
+  };
+}
@@ -0,0 +1,38 @@
+// lib/cadence.js — how long to wait before the next scrape of a job.
+// Slow while the store prepares, faster once the courier is moving, fastest when
+// the order is close; jittered, and backed off when scrapes keep failing.
+
+export function cadenceConfig(env = process.env) {
+  const base = Number(env.POLL_INTERVAL_MS || 60000);
+  return {
+    baseMs: base,
+    byPhase: {
+      PREPARING: Number(env.POLL_PREPARING_MS || Math.max(base, 120_000)),
+      HEADING: Number(env.POLL_HEADING_MS || Math.min(base, 45_000)),
+      ALMOST_HERE: Number(env.POLL_ALMOST_HERE_MS || Math.min(base, 20_000)),
+      ISSUE: Number(env.POLL_HEADING_MS || Math.min(base, 45_000)),
+      COURIER_REASSIGNED: Number(env.POLL_HEADING_MS || Math.min(base, 45_000)),
+    },
+    nearEtaMs: 5 * 60_000,      // ETA this close → ALMOST_HERE speed
+    soonEtaMs: 15 * 60_000,     // ETA this close → at least HEADING speed
+    minMs: 10_000,
+    maxBackoffMs: 10 * 60_000,
+    jitter: 0.15,               // ±15%
+  };
+}
+
+// { phase, etaAt (epoch ms|null), errorStreak, now, random } → delay in ms
+export function nextPollDelay({ phase = null, etaAt = null, errorStreak = 0, now = Date.now(), random = Math.random } = {}, cfg = cadenceConfig()) {
+  let delay = cfg.byPhase[phase] ?? cfg.baseMs;
+
+  if (etaAt != null) {
+    const left = etaAt - now;
+    if (left <= cfg.nearEtaMs) delay = Math.min(delay, cfg.byPhase.ALMOST_HERE);
+    else if (left <= cfg.soonEtaMs) delay = Math.min(delay, cfg.byPhase.HEADING);
+  }
+
+  if (errorStreak > 0) delay = Math.min(cfg.maxBackoffMs, Math.max(delay, cfg.baseMs) * 2 ** Math.min(errorStreak - 1, 5));
+
+  delay *= 1 + (random() * 2 - 1) * cfg.jitter;
+  return Math.max(cfg.minMs, Math.round(delay));
+}
@@ -0,0 +1,71 @@
+// lib/capture.js — opt-in "capture mode": when a scrape looks wrong, keep the raw page
+// (HTML + optional screenshot + what we parsed) on disk so it can become a test fixture.
+// Files are grouped by a stem `job-<jobId>-<timestamp>` → .html / .json / .png
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { phaseFromScrape } from './scraper.js';
+
+const STEM_RX = /^job-(\d+)-(\d{4}-\d{2}-\d{2}T[\d-]+Z)\.(html|json|png)$/;
+
+// Why a scrape result is suspicious (empty array → looks fine).
+// phaseOf: the tracked provider's phase function (Uber Eats wording by default).
+export function captureReasons(data, phaseOf = phaseFromScrape) {
+  if (!data || data.requiresLogin) return [];
+  const reasons = [];
+  if (!data.statusText || data.statusText === 'Unknown status') reasons.push('unknown_status');
+  if (!phaseOf(data)) reasons.push('no_phase');
+  if (!data.store) reasons.push('no_store');
+  if (!data.cart?.length) reasons.push('empty_cart');
+  return reasons;
+}
+
+// Nothing usable came off the page at all: no status, store or cart (scrape_errors_total{type="parse_empty"}).
+// Parsers fill statusText with 'Unknown status', so a plain falsy check never sees this.
+export function isEmptyScrape(data, phaseOf = phaseFromScrape) {
+  const reasons = captureReasons(data, phaseOf);
+  return ['unknown_status', 'no_store', 'empty_cart'].every((r) => reasons.includes(r));
+}
+
+export const captureStem = (jobId, at = new Date()) =>
+  `job-${jobId}-${at.toISOString().replace(/[:.]/g, '-')}`;
+
+async function listStems(dir) {
+  const files = await fs.readdir(dir).catch(() => []);
+  const stems = new Map(); // stem -> { jobId, ts, files[] }
+  for (const f of files) {
+    const m = f.match(STEM_RX);
+    if (!m) continue;
+    const stem = f.slice(0, -(m[3].length + 1));
+    if (!stems.has(stem)) stems.set(stem, { stem, jobId: m[1], ts: m[2], files: [] });
+    stems.get(stem).files.push(f);
+  }
+  return [...stems.values()].sort((a, b) => a.ts.localeCompare(b.ts));
+}
+
+// Keep the newest `keep` captures across all jobs.
+export async function pruneCaptures(dir, keep) {
+  const stems = await listStems(dir);
+  const drop = stems.slice(0, Math.max(0, stems.length - keep));
+  for (const s of drop) {
+    for (const f of s.files) await fs.rm(path.join(dir, f), { force: true });
+  }
+  return drop.length;
+}
+
+export async function saveCapture(dir, { jobId, url, html, screenshot = null, data = null, reasons = [], keep = 100, at = new Date() }) {
+  await fs.mkdir(dir, { recursive: true });
+  const stem = captureStem(jobId, at);
+  await fs.writeFile(path.join(dir, `${stem}.html`), html);
+  await fs.writeFile(path.join(dir, `${stem}.json`), JSON.stringify({ jobId, url, at: at.toISOString(), reasons, data }, null, 2));
+  if (screenshot) await fs.writeFile(path.join(dir, `${stem}.png`), screenshot);
+  await pruneCaptures(dir, keep);
+  return stem;
+}
+
+// Absolute paths of the newest capture for a job, or null.
+export async function latestCapture(dir, jobId) {
+  const mine = (await listStems(dir)).filter((s) => s.jobId === String(jobId));
+  const last = mine.at(-1);
+  if (!last) return null;
+  return { stem: last.stem, at: last.ts, files: last.files.sort().map((f) => path.join(dir, f)) };
+}
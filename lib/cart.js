@@ -0,0 +1,108 @@
+// lib/cart.js — cart lines as structured records plus the text the tracker embed renders.
+// Providers build items with cartItem(); the legacy `cart` strings ("2x Pizza — Extra cheese")
+// are derived from them in lib/providers/index.js so older readers keep working.
+import { parseMoney, formatMoney } from './money.js';
+
+export const MAX_ITEMS = 100;
+export const CART_PAGE_SIZE = 10;
+
+const QTY_PREFIX_RX = /^(\d{1,3})\s*[x×]\s+/i; // "2x Pizza", "2 × Pizza"
+const clean = (v) => (v == null ? null : String(v).replace(/\s+/g, ' ').trim() || null);
+
+/**
+ * @typedef {object} CartItem
+ * @property {number} qty
+ * @property {string} name
+ * @property {string[]} modifiers  options / customizations, in page order
+ * @property {number|null} price   line price (all units) in the order currency
+ */
+
+/**
+ * One cart line → CartItem, or null without a name.
+ * `qty` may be 2, "2", "2x" or "2×"; when missing a "2x " prefix on the name is used.
+ * `modifiers` is an array or one comma-separated string; `price` a number or formatted text ("$25.00").
+ */
+export function cartItem({ qty = null, name, modifiers = [], price = null } = {}, { country = null } = {}) {
+  let label = clean(name);
+  if (!label) return null;
+  let n = parseInt(String(qty ?? '').replace(/[x×]\s*$/i, ''), 10);
+  const m = label.match(QTY_PREFIX_RX);
+  if (m) {
+    if (!n) n = Number(m[1]);
+    label = label.slice(m[0].length).trim();
+  }
+  const mods = (Array.isArray(modifiers) ? modifiers : String(modifiers || '').split(/\s*[,•]\s*/))
+    .map(clean).filter(Boolean);
+  const amount = typeof price === 'number' ? price : parseMoney(price, { country })?.amount;
+  return { qty: n > 0 ? n : 1, name: label, modifiers: mods, price: Number.isFinite(amount) ? amount : null };
+}
+
+// A leaf that is nothing but an amount ("$25.00", "12,50 €", "CHF 9.90"), i.e. a line price, not an item name.
+export function isPriceText(text, { country = null } = {}) {
+  const t = clean(text);
+  return !!t && t.length <= 16 && !/\p{L}{4,}/u.test(t) && !!parseMoney(t, { country });
+}
+
+// CartItem → "2x Large Pepperoni Pizza — Extra cheese, Thin crust" (the pre-structured cart format)
+export function cartLineText(item) {
+  const mods = item.modifiers?.length ? ` — ${item.modifiers.join(', ')}` : '';
+  return `${item.qty}x ${item.name}${mods}`;
+}
+
+// CartItem → two embed lines: "**2×** Large Pepperoni Pizza · $25.00" and "└ Extra cheese, Thin crust"
+export function formatCartItem(item, currency = null, { maxLength = 180 } = {}) {
+  const cut = (s) => (s.length > maxLength ? s.slice(0, maxLength - 1) + '…' : s);
+  const price = item.price != null && currency ? ` · ${formatMoney(item.price, currency)}` : '';
+  const head = `**${item.qty}×** ${cut(item.name)}${price}`;
+  return item.modifiers?.length ? `${head}\n└ ${cut(item.modifiers.join(', '))}` : head;
+}
+
+/**
+ * As many leading items as fit in one embed field → { text, hidden }.
+ * Space for the "…and N more" line is reserved so the field never exceeds `max`.
+ */
+export function cartPreview(items = [], currency = null, { max = 1024 } = {}) {
+  const lines = [];
+  let used = 0;
+  for (let i = 0; i < items.length; i++) {
+    const line = formatCartItem(items[i], currency);
+    const left = items.length - i - 1;
+    const reserve = left ? `\n…and ${left} more`.length : 0;
+    if (used + (lines.length ? 1 : 0) + line.length + reserve > max) break;
+    used += (lines.length ? 1 : 0) + line.length;
+    lines.push(line);
+  }
+  const hidden = items.length - lines.length;
+  if (hidden) lines.push(`…and ${hidden} more`);
+  return { text: lines.join('\n'), hidden };
+}
+
+/**
+ * Items split into pages for the "View full cart" panel: at most `perPage` items and `max`
+ * characters of formatCartItem text per page (the default leaves room in Discord's
+ * 4096-character description for the receipt lines). Always at least one, possibly empty, page.
+ */
+export function cartPages(items = [], currency = null, { perPage = CART_PAGE_SIZE, max = 3800 } = {}) {
+  const pages = [];
+  let page = [], used = 0;
+  for (const item of items) {
+    const len = formatCartItem(item, currency).length;
+    if (page.length && (page.length >= perPage || used + 1 + len > max)) {
+      pages.push(page);
+      page = [];
+    }
+    used = page.length ? used + 1 + len : len; // +1 for the joining newline
+    page.push(item);
+  }
+  if (page.length) pages.push(page);
+  return pages.length ? pages : [[]];
+}
+
+// "Subtotal $27.50 · Fees $7.07 · Tip $4.00" from the scraped charges; null when none were shown.
+export function chargesLine({ subtotal = null, fees = null, tip = null, currency = null } = {}) {
+  if (!currency) return null;
+  const parts = [['Subtotal', subtotal], ['Fees', fees], ['Tip', tip]]
+    .filter(([, v]) => v != null)
+    .map(([label, v]) => `${label} ${formatMoney(v, currency)}`);
+  return parts.length ? parts.join(' · ') : null;
+}
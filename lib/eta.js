@@ -0,0 +1,83 @@
+// lib/eta.js — turn Uber's free-text ETA ("Estimated arrival 7:42 PM", "12–17 min")
+// into an epoch-ms timestamp. Clock times are read in the given IANA time zone.
+
+// Offset (ms) of `timeZone` from UTC at instant `at`.
+function tzOffsetMs(timeZone, at) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(at).map((p) => [p.type, p.value])
+  );
+  const asUTC = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUTC - Math.floor(at.getTime() / 1000) * 1000;
+}
+
+// Wall-clock time in `timeZone` → epoch ms (two passes so DST edges settle).
+function zonedTimeToEpoch({ year, month, day, hour, minute }, timeZone) {
+  const naive = Date.UTC(year, month - 1, day, hour, minute);
+  let t = naive - tzOffsetMs(timeZone, new Date(naive));
+  t = naive - tzOffsetMs(timeZone, new Date(t));
+  return t;
+}
+
+function zonedDate(at, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(at).map((p) => [p.type, p.value])
+  );
+  return { year: +parts.year, month: +parts.month, day: +parts.day };
+}
+
+const CLOCK_RX = /\b(\d{1,2}):(\d{2})\s*(am|pm|a\.m\.|p\.m\.)?/i;
+const MINUTES_RX = /\b(\d{1,3})(?:\s*[-–]\s*(\d{1,3}))?\s*(?:min|mins|minutes)\b/i;
+
+// Returns epoch ms, or null when nothing time-like is in the line.
+// "12–17 min" uses the upper bound; "7:42 PM – 7:52 PM" uses the first clock time.
+export function parseEta(etaLine, { now = Date.now(), timeZone = undefined } = {}) {
+  if (!etaLine) return null;
+  const tz = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  const clock = etaLine.match(CLOCK_RX);
+  if (clock) {
+    let hour = Number(clock[1]);
+    const minute = Number(clock[2]);
+    const ampm = (clock[3] || '').toLowerCase().replace(/\./g, '');
+    if (hour > 23 || minute > 59) return null;
+    if (ampm === 'pm' && hour < 12) hour += 12;
+    if (ampm === 'am' && hour === 12) hour = 0;
+
+    // Pick whichever of yesterday/today/tomorrow lands closest to now (orders cross midnight)
+    const today = zonedDate(new Date(now), tz);
+    let best = null;
+    for (const shift of [-1, 0, 1]) {
+      const d = new Date(Date.UTC(today.year, today.month - 1, today.day + shift));
+      const t = zonedTimeToEpoch({ year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), hour, minute }, tz);
+      if (best === null || Math.abs(t - now) < Math.abs(best - now)) best = t;
+    }
+    return best;
+  }
+
+  const mins = etaLine.match(MINUTES_RX);
+  if (mins) return now + Number(mins[2] || mins[1]) * 60_000;
+  return null;
+}
+
+// Fold a fresh ETA observation into the stored series (all ISO strings).
+// Wobbles under a minute are ignored so re-renders of the same ETA don't count as drift.
+export function trackEta({ etaAt = null, firstAt = null, history = [] } = {}, observedMs, now = Date.now()) {
+  const unchanged = { etaAt, firstAt, history, changed: false };
+  if (observedMs == null) return unchanged;
+  if (etaAt && Math.abs(observedMs - Date.parse(etaAt)) < 60_000) return unchanged;
+  const observed = new Date(observedMs).toISOString();
+  return {
+    etaAt: observed,
+    firstAt: firstAt || observed,
+    history: [...history, { at: new Date(now).toISOString(), eta: observed }].slice(-50),
+    changed: true,
+  };
+}
+
+// Whole minutes between two ISO instants (b - a); negative when b is earlier.
+export const minutesBetween = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / 60_000);
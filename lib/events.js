@@ -0,0 +1,63 @@
+// lib/events.js — in-process bus of tracker lifecycle events + a Server-Sent Events endpoint.
+// app.js publishes from runOnceAndUpdate / startJob / stopJob; clients filter by guild or job.
+import { EventEmitter } from 'node:events';
+
+export const EVENT_TYPES = [
+  'job_started', 'phase_changed', 'eta_changed', 'scrape_error', 'delivered', 'cancelled', 'login_required', 'job_stopped',
+];
+
+// Keeps the last `replay` events so reconnecting clients (Last-Event-ID) don't miss anything.
+export function createEventBus({ replay = 200 } = {}) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const recent = [];
+  let seq = 0;
+  return {
+    publish(type, { job_id = null, guild_id = null, channel_id = null, message_id = null, ...data } = {}) {
+      const ev = { id: ++seq, type, at: new Date().toISOString(), job_id, guild_id, channel_id, message_id, data };
+      recent.push(ev);
+      if (recent.length > replay) recent.shift();
+      emitter.emit('event', ev);
+      return ev;
+    },
+    subscribe(fn) {
+      emitter.on('event', fn);
+      return () => emitter.off('event', fn);
+    },
+    since(id) {
+      return recent.filter((e) => e.id > id);
+    },
+  };
+}
+
+// ?guild_id=… &job_id=… &types=phase_changed,delivered
+function matcher(query) {
+  const types = query.types ? new Set(String(query.types).split(',')) : null;
+  return (ev) =>
+    (!query.guild_id || ev.guild_id === query.guild_id) &&
+    (!query.job_id || String(ev.job_id) === String(query.job_id)) &&
+    (!types || types.has(ev.type));
+}
+
+export function createEventStreamHandler(bus, { heartbeatMs = 25_000 } = {}) {
+  return (req, res) => {
+    const wants = matcher(req.query);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // don't let proxies buffer the stream
+    });
+    const send = (ev) => {
+      if (wants(ev)) res.write(`id: ${ev.id}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev)}\n\n`);
+    };
+    res.write(': connected\n\n');
+
+    const lastId = Number(req.get('last-event-id') || req.query.last_event_id || 0);
+    if (lastId) bus.since(lastId).forEach(send);
+
+    const off = bus.subscribe(send);
+    const hb = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+    req.on('close', () => { clearInterval(hb); off(); });
+  };
+}
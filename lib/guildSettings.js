@@ -0,0 +1,93 @@
+// lib/guildSettings.js — per-guild overrides for branding, channels and roles.
+// Env vars supply the defaults; a guild_settings row (NULL = use default) overrides them.
+
+// key → how /config parses and shows it
+export const GUILD_SETTINGS = {
+  brand: { label: 'Brand name', kind: 'text', max: 64 },
+  vouch_channel_id: { label: 'Vouch channel', kind: 'channel' },
+  notify_role_id: { label: 'Notify role', kind: 'role' },
+  store_emoji: { label: 'Store emoji', kind: 'text', max: 64 },
+  theme: { label: 'Theme', kind: 'choice', choices: ['classic', 'modern'] },
+  ops_channel_id: { label: 'Ops channel', kind: 'channel' },
+  timezone: { label: 'Timezone', kind: 'timezone' },
+  // permissions (see lib/permissions.js)
+  tracker_role_ids: { label: 'Tracker roles', kind: 'roles' },
+  self_track: { label: 'Customer self-track', kind: 'bool' },
+  dm_claim: { label: 'DM updates claimable by', kind: 'choice', choices: ['anyone', 'requester_assignee'] },
+};
+
+export function settingsDefaults(env = process.env) {
+  return {
+    brand: env.THANK_BRAND || '116 GAMER',
+    vouch_channel_id: env.VOUCH_CHANNEL_ID || null, // unset = no vouch line on delivered embeds
+    notify_role_id: env.NOTIFY_ROLE_ID || null,     // unset = no automatic assignee
+    store_emoji: env.STORE_EMOJI || '🏬',
+    theme: (env.THEME || 'modern').toLowerCase(),
+    ops_channel_id: env.DISCORD_LOG_CHANNEL_ID || null,
+    timezone: env.TIMEZONE || null,
+    tracker_role_ids: env.TRACKER_ROLE_IDS || null, // comma list; unset = anyone may track
+    self_track: env.SELF_TRACK === '1' ? 'on' : 'off',
+    dm_claim: env.DM_CLAIM || 'anyone',
+  };
+}
+
+// row: a guild_settings row (or undefined). Only non-null columns override.
+export function mergeSettings(defaults, row) {
+  const out = { ...defaults };
+  for (const key of Object.keys(GUILD_SETTINGS)) {
+    if (row?.[key] != null && row[key] !== '') out[key] = row[key];
+  }
+  return out;
+}
+
+// Parses what an admin typed for `key`; accepts <#channel>/<@&role> mentions or raw IDs.
+// Throws an Error with a user-facing message when the value is unusable.
+export function parseSettingValue(key, raw) {
+  const spec = GUILD_SETTINGS[key];
+  if (!spec) throw new Error(`Unknown setting \`${key}\`.`);
+  const v = String(raw ?? '').trim();
+  if (!v) throw new Error(`${spec.label} cannot be empty.`);
+  switch (spec.kind) {
+    case 'channel': {
+      const m = /^(?:<#)?(\d{17,20})>?$/.exec(v);
+      if (!m) throw new Error(`${spec.label} must be a channel mention or ID.`);
+      return m[1];
+    }
+    case 'role': {
+      const m = /^(?:<@&)?(\d{17,20})>?$/.exec(v);
+      if (!m) throw new Error(`${spec.label} must be a role mention or ID.`);
+      return m[1];
+    }
+    case 'roles': {
+      const ids = v.split(/[\s,]+/).filter(Boolean).map((t) => /^(?:<@&)?(\d{17,20})>?$/.exec(t)?.[1]);
+      if (!ids.length || ids.some((id) => !id)) throw new Error(`${spec.label} must be role mentions or IDs.`);
+      return [...new Set(ids)].join(',');
+    }
+    case 'bool': {
+      if (/^(on|true|yes|1)$/i.test(v)) return 'on';
+      if (/^(off|false|no|0)$/i.test(v)) return 'off';
+      throw new Error(`${spec.label} must be on or off.`);
+    }
+    case 'choice': {
+      const c = v.toLowerCase();
+      if (!spec.choices.includes(c)) throw new Error(`${spec.label} must be one of: ${spec.choices.join(', ')}.`);
+      return c;
+    }
+    case 'timezone':
+      try { new Intl.DateTimeFormat('en-US', { timeZone: v }); } catch { throw new Error(`Unknown timezone \`${v}\` (use an IANA name like America/New_York).`); }
+      return v;
+    default:
+      if (v.length > spec.max) throw new Error(`${spec.label} must be at most ${spec.max} characters.`);
+      return v;
+  }
+}
+
+// For /config view: mentions for IDs, plain text otherwise.
+export function formatSettingValue(key, value) {
+  if (value == null || value === '') return '—';
+  const kind = GUILD_SETTINGS[key]?.kind;
+  if (kind === 'channel') return `<#${value}>`;
+  if (kind === 'role') return `<@&${value}>`;
+  if (kind === 'roles') return String(value).split(',').map((id) => `<@&${id}>`).join(' ');
+  return String(value);
+}
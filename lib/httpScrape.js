@@ -0,0 +1,106 @@
+// lib/httpScrape.js — fast path: fetch the public order page over plain HTTP and parse it
+// with the same provider parsers, skipping Chromium. Pages that only render client-side come
+// back incomplete; the caller then falls back to Puppeteer and remembers that for the job.
+import * as cheerio from 'cheerio';
+import { parseProviderPage, parseProviderPayloads, providerPhase } from './providers/index.js';
+
+const MAX_HTML_BYTES = 5_000_000;
+const STATE_SCRIPTS = ['__REACT_QUERY_STATE__', '__NEXT_DATA__', '__APOLLO_STATE__', '__PRELOADED_STATE__'];
+
+export function httpScrapeConfig(env = process.env) {
+  return {
+    enabled: env.HTTP_SCRAPE !== '0',
+    timeoutMs: Number(env.HTTP_SCRAPE_TIMEOUT_MS || 15_000),
+  };
+}
+
+// Server-rendered state blobs: JSON <script> tags, plus the `window.__X__ = {...}` form.
+export function embeddedState(html) {
+  const $ = cheerio.load(html);
+  const blobs = [];
+  const parse = (raw) => {
+    if (!raw || raw.length > MAX_HTML_BYTES) return;
+    for (const candidate of [raw, safeDecode(raw)]) {
+      try { blobs.push(JSON.parse(candidate)); return; } catch {}
+    }
+  };
+  $('script[type="application/json"], script[type="application/ld+json"]').each((_, el) => parse($(el).html()?.trim()));
+  $('script:not([type]), script[type="text/javascript"]').each((_, el) => {
+    const src = $(el).html() || '';
+    for (const name of STATE_SCRIPTS) {
+      const m = src.match(new RegExp(`window\\.${name}\\s*=\\s*(\\{[\\s\\S]*\\})\\s*;?\\s*$`));
+      if (m) parse(m[1]);
+    }
+  });
+  return blobs;
+}
+function safeDecode(s) {
+  try { return decodeURIComponent(s); } catch { return null; }
+}
+
+// Objects inside a state blob that look like an order API body ({ orders: [...] } or an order itself).
+export function orderPayloads(blob, { maxDepth = 8 } = {}) {
+  const out = [];
+  const walk = (v, depth) => {
+    if (!v || typeof v !== 'object' || depth > maxDepth) return;
+    if (!Array.isArray(v) && (Array.isArray(v.orders) || v.orderInfo || v.activeOrderStatus)) { out.push(v); return; }
+    for (const child of Array.isArray(v) ? v : Object.values(v)) walk(child, depth + 1);
+  };
+  walk(blob, 0);
+  return out;
+}
+
+// Good enough to skip the browser: a status line we can place in a phase, plus what the embed
+// shows (the store, and the cart or the address). A success pins the job to HTTP, so a partial
+// server render must not count. Login walls never do: plain requests get bounced more eagerly
+// than a real browser, and a login result stops the tracker, so the browser has to confirm it.
+export function isCompleteScrape(data, phaseOf) {
+  if (!data || data.requiresLogin) return false;
+  if (!data.statusLine || !phaseOf(data)) return false;
+  return !!(data.store && (data.cart?.length || data.address));
+}
+
+/**
+ * Fetch + parse one order page without a browser.
+ * Returns { data, complete, status, html } — data is null when the response was not a usable page;
+ * html is the fetched page whenever it was parsed (for capture mode).
+ * Throws on network errors / timeouts (the caller treats those like an incomplete result).
+ */
+export async function scrapeOverHttp(url, provider, { fetchImpl = globalThis.fetch, timeoutMs = 15_000, userAgent } = {}) {
+  const ctl = new AbortController();
+  const t = setTimeout(() => ctl.abort(), timeoutMs);
+  let res, html;
+  try {
+    res = await fetchImpl(url, {
+      redirect: 'follow',
+      headers: {
+        'User-Agent': userAgent || 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36',
+        Accept: 'text/html,application/xhtml+xml',
+        'Accept-Language': 'en-US,en;q=0.9',
+      },
+      signal: ctl.signal,
+    });
+    html = await res.text();
+  } finally {
+    clearTimeout(t);
+  }
+  const finalUrl = res.url || url;
+  if (provider.isLoginRedirect(finalUrl)) return { data: { requiresLogin: true }, complete: false, status: res.status };
+  if (!res.ok || html.length > MAX_HTML_BYTES) return { data: null, complete: false, status: res.status };
+
+  const bodies = provider.fromPayloads ? embeddedState(html).flatMap((b) => orderPayloads(b)) : [];
+  const data = parseProviderPayloads(provider, bodies, { url }) || parseProviderPage(provider, html, { url: finalUrl });
+  return { data, complete: isCompleteScrape(data, (d) => providerPhase(provider, d)), status: res.status, html };
+}
+
+/**
+ * Which path to remember for a job after an HTTP attempt.
+ *   ok          → 'http' (keep skipping the browser)
+ *   incomplete  → 'browser' (this page needs client-side rendering; stop trying HTTP)
+ *   error       → unchanged (network blips should not pin a job to the browser)
+ */
+export function nextScrapePath(current, outcome) {
+  if (outcome === 'ok') return 'http';
+  if (outcome === 'incomplete') return 'browser';
+  return current || null;
+}
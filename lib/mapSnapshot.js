@@ -0,0 +1,50 @@
+// lib/mapSnapshot.js — optional screenshot of the live courier map on the order page.
+// Taken on phase changes into the courier phases; JPEG quality steps down until the image
+// fits the byte budget (or the shot is dropped). Callers dedupe on `hash`.
+import crypto from 'node:crypto';
+
+// First match with a real on-screen size wins. Uber has used Mapbox GL and Google Maps.
+export const MAP_SELECTORS = [
+  '[data-testid="map"]',
+  '[data-testid*="Map"]',
+  'canvas.mapboxgl-canvas',
+  '.mapboxgl-map',
+  '.gm-style',
+  'div[aria-label*="map" i]',
+];
+
+export function mapConfig(env = process.env) {
+  return {
+    enabled: env.MAP_SNAPSHOTS === '1',
+    phases: new Set((env.MAP_PHASES || 'HEADING,ALMOST_HERE,COURIER_REASSIGNED').split(',').map((s) => s.trim()).filter(Boolean)),
+    maxBytes: Number(env.MAP_MAX_KB || 300) * 1024,
+    refreshMs: Number(env.MAP_REFRESH_MIN || 0) * 60_000, // 0 = only on phase changes
+    qualities: [80, 65, 50, 35],
+  };
+}
+
+// last: { phase (previous), at (ISO of the last stored shot) }
+export function shouldSnapshot(phase, last, cfg, now = Date.now()) {
+  if (!cfg.enabled || !cfg.phases.has(phase)) return false;
+  if (phase !== last.phase || !last.at) return true;
+  return cfg.refreshMs > 0 && now - Date.parse(last.at) >= cfg.refreshMs;
+}
+
+export const imageHash = (buf) => crypto.createHash('sha1').update(buf).digest('hex');
+
+// page: a Puppeteer page (only $ and element boundingBox/screenshot are used).
+// Returns { buf, hash, quality } or null when there is no map or it cannot fit the budget.
+export async function snapshotMap(page, cfg) {
+  let el = null;
+  for (const sel of MAP_SELECTORS) {
+    const cand = await page.$(sel).catch(() => null);
+    const box = cand && await cand.boundingBox().catch(() => null);
+    if (box && box.width >= 200 && box.height >= 150) { el = cand; break; }
+  }
+  if (!el) return null;
+  for (const quality of cfg.qualities) {
+    const buf = Buffer.from(await el.screenshot({ type: 'jpeg', quality }));
+    if (buf.length <= cfg.maxBytes) return { buf, hash: imageHash(buf), quality };
+  }
+  return null;
+}
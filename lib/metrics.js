@@ -0,0 +1,98 @@
+// lib/metrics.js — tiny Prometheus text-format registry (counters, gauges, histograms)
+// plus the scrape-error taxonomy and the health verdict used by /health.
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+function fmtLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.keys(all).map((k) => `${k}="${escapeLabel(all[k])}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+export const DEFAULT_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60];
+
+export function createRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, impl) {
+    const m = { type, name: prefix + name, help, ...impl };
+    metrics.push(m);
+    return m;
+  }
+
+  return {
+    counter(name, help) {
+      const values = new Map();
+      return register('counter', name, help, {
+        inc(labels = {}, by = 1) {
+          const k = labelKey(labels);
+          const cur = values.get(k) || { labels, value: 0 };
+          cur.value += by;
+          values.set(k, cur);
+        },
+        get(labels = {}) { return values.get(labelKey(labels))?.value || 0; },
+        lines() { return [...values.values()].map(({ labels, value }) => `${this.name}${fmtLabels(labels)} ${value}`); },
+      });
+    },
+
+    // collect() is called at scrape time and returns a number or [{ labels, value }]
+    gauge(name, help, collect) {
+      return register('gauge', name, help, {
+        lines() {
+          const v = collect();
+          const rows = Array.isArray(v) ? v : [{ labels: {}, value: v }];
+          return rows.map(({ labels, value }) => `${this.name}${fmtLabels(labels)} ${Number(value) || 0}`);
+        },
+      });
+    },
+
+    histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+      const series = new Map();
+      return register('histogram', name, help, {
+        observe(value, labels = {}) {
+          const k = labelKey(labels);
+          const s = series.get(k) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          buckets.forEach((b, idx) => { if (value <= b) s.counts[idx]++; });
+          s.sum += value;
+          s.count++;
+          series.set(k, s);
+        },
+        lines() {
+          const out = [];
+          for (const s of series.values()) {
+            buckets.forEach((b, idx) => out.push(`${this.name}_bucket${fmtLabels(s.labels, { le: b })} ${s.counts[idx]}`));
+            out.push(`${this.name}_bucket${fmtLabels(s.labels, { le: '+Inf' })} ${s.count}`);
+            out.push(`${this.name}_sum${fmtLabels(s.labels)} ${s.sum}`);
+            out.push(`${this.name}_count${fmtLabels(s.labels)} ${s.count}`);
+          }
+          return out;
+        },
+      });
+    },
+
+    render() {
+      return metrics
+        .map((m) => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join('\n'))
+        .join('\n') + '\n';
+    },
+  };
+}
+
+// Buckets for tracker_scrape_errors_total{type=…}
+export function classifyScrapeError(message) {
+  const m = String(message || '');
+  if (/detached frame/i.test(m)) return 'detached_frame';
+  if (/timeout|timed out/i.test(m)) return 'timeout';
+  if (/target closed|session closed|browser has disconnected|protocol error/i.test(m)) return 'browser';
+  if (/net::ERR_/i.test(m)) return 'network';
+  return 'other';
+}
+
+// Degraded when the browser is down or most of the recent scrapes failed.
+export function healthVerdict({ browserDown, recent, minSamples = 5 }) {
+  const reasons = [];
+  if (browserDown) reasons.push('browser_disconnected');
+  const failed = recent.filter((ok) => !ok).length;
+  if (recent.length >= minSamples && failed / recent.length > 0.5) reasons.push(`scrapes_failing (${failed}/${recent.length})`);
+  return { ok: reasons.length === 0, status: reasons.length ? 'degraded' : 'ok', reasons };
+}
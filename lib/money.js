@@ -0,0 +1,97 @@
+// lib/money.js — order total + currency from receipt text ("Total $24.56", "Gesamt 23,50 €").
+// "$" alone is ambiguous, so the address country (lib/address.js) picks USD / CAD / AUD.
+
+const SYMBOLS = {
+  'US$': 'USD', 'CA$': 'CAD', C$: 'CAD', 'A$': 'AUD', 'AU$': 'AUD', 'NZ$': 'NZD', 'HK$': 'HKD', 'R$': 'BRL',
+  '£': 'GBP', '€': 'EUR', '¥': 'JPY', '₹': 'INR', 'zł': 'PLN', 'Kč': 'CZK', 'kr': 'SEK', CHF: 'CHF',
+};
+const DOLLAR_BY_COUNTRY = { US: 'USD', CA: 'CAD', AU: 'AUD' };
+const ISO = new Set(['USD', 'CAD', 'AUD', 'NZD', 'GBP', 'EUR', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'JPY', 'INR', 'BRL', 'MXN', 'HKD']);
+
+const SYM = '(?:US\\$|CA\\$|C\\$|AU\\$|A\\$|NZ\\$|HK\\$|R\\$|\\$|£|€|¥|₹|zł|Kč|kr|CHF|[A-Z]{3})';
+const AMOUNT = '\\d{1,3}(?:[.,\\s\\u00a0\\u202f]\\d{3})*(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?';
+const BEFORE_RX = new RegExp(`(-?)\\s*(${SYM})\\s?(${AMOUNT})(?![\\d])`, 'u');
+const AFTER_RX = new RegExp(`(-?)(${AMOUNT})\\s?(${SYM})(?![\\p{L}])`, 'u');
+
+// "1.234,50" / "1,234.50" / "23,50" / "1 234,50" → 1234.5; the last separator with 1–2 digits after it is the decimal point.
+export function parseAmount(raw) {
+  const s = String(raw).replace(/[\s  ]/g, '');
+  const m = s.match(/^(.*?)[.,](\d{1,2})$/);
+  const whole = (m ? m[1] : s).replace(/[.,]/g, '');
+  if (!/^\d+$/.test(whole)) return null;
+  return Number(m ? `${whole}.${m[2]}` : whole);
+}
+
+function currencyFor(sym, countryCode) {
+  if (sym === '$') return DOLLAR_BY_COUNTRY[countryCode] || 'USD';
+  if (SYMBOLS[sym]) return SYMBOLS[sym];
+  return ISO.has(sym) ? sym : null;
+}
+
+/** First money amount in `text` with a known currency → { amount, currency }, else null. */
+export function parseMoney(text, { country = null } = {}) {
+  if (!text) return null;
+  const s = String(text);
+  const b = s.match(BEFORE_RX);
+  const a = s.match(AFTER_RX);
+  // "€ 23,50" vs "23,50 €": whichever form starts first in the text
+  const useBefore = b && (!a || b.index <= a.index);
+  if (!b && !a) return null;
+  const m = useBefore ? b : a;
+  const [sym, num] = useBefore ? [m[2], m[3]] : [m[3], m[2]];
+  const currency = currencyFor(sym, country);
+  const amount = parseAmount(num);
+  if (amount == null || !currency) return null;
+  return { amount: m[1] === '-' ? -amount : amount, currency };
+}
+
+// 31.47, 'CAD' → "CA$31.47" (display only; falls back to "31.47 XYZ" for codes Intl doesn't know)
+export function formatMoney(amount, currency, locale = 'en-US') {
+  if (amount == null || !currency) return null;
+  try { return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount); }
+  catch { return `${amount.toFixed(2)} ${currency}`; }
+}
+
+// Receipt "total" labels across the languages order pages come in (subtotal lines never match: anchored).
+const TOTAL_LABEL_RX = /^(?:order total|total(?: paid| charged| ttc| a pagar| da pagare)?|totale|totaal|gesamt(?:betrag|summe)?|summe|importe total|montant total|valor total|totalt|razem|celkem)(?![\p{L}])\s*:?/iu;
+const SUBTOTAL_LABEL_RX = /^(?:subtotal|sub-total|sous-total|zwischensumme|subtotale|subtotaal|delsumma|suma częściowa|mezisoučet)(?![\p{L}])\s*:?/iu;
+// Every charge between the subtotal and the total that is not the tip (they get summed)
+const FEE_LABEL_RX = /^(?:(?:delivery|service|small order|regulatory response|expanded range|busy area|bag|cart)\s+fee|fees|taxes(?: (?:&|and) (?:other )?fees)?|tax|estimated tax|sales tax|vat|gst|hst|frais(?: de (?:livraison|service))?|taxes et frais|liefergebühr|servicegebühr|gebühren|gastos de envío|tarifa de servicio|impuestos|costi di consegna|costi di servizio|bezorgkosten|servicekosten|leveransavgift|serviceavgift|opłata za dostawę|opłata serwisowa)(?![\p{L}])\s*:?/iu;
+const TIP_LABEL_RX = /^(?:(?:(?:courier|dasher|driver|delivery)\s+)?tip|pourboire|trinkgeld|propina|mancia|fooi|dricks|napiwek|gorjeta|spropitné)(?![\p{L}])\s*:?/iu;
+
+// Amounts of every line whose label matches `rx`: "Tip $4.00" on one line, or a label line followed by the amount.
+function labelledAmounts(lines, rx, country) {
+  const out = [];
+  for (let i = 0; i < lines.length; i++) {
+    const t = (lines[i] || '').trim();
+    const m = t.match(rx);
+    if (!m) continue;
+    const rest = t.slice(m[0].length).trim();
+    const money = rest ? parseMoney(rest, { country }) : parseMoney(lines[i + 1], { country });
+    if (money) out.push(money);
+  }
+  return out;
+}
+
+/**
+ * Order total from a page's leaf lines: either "Total $24.56" on one line, or a "Total" label
+ * line followed by the amount. Returns { total, currency } with nulls when not found.
+ */
+export function findTotal(lines = [], { country = null } = {}) {
+  const money = labelledAmounts(lines, TOTAL_LABEL_RX, country)[0];
+  return money ? { total: money.amount, currency: money.currency } : { total: null, currency: null };
+}
+
+/**
+ * The receipt lines above the total → { subtotal, fees, tip } (numbers, nulls when not shown).
+ * Delivery / service fees and taxes are summed into `fees`; "Free" lines carry no amount and are skipped.
+ */
+export function findCharges(lines = [], { country = null } = {}) {
+  const sum = (list) => (list.length ? Math.round(list.reduce((a, m) => a + m.amount, 0) * 100) / 100 : null);
+  const tipLines = labelledAmounts(lines, TIP_LABEL_RX, country);
+  return {
+    subtotal: labelledAmounts(lines, SUBTOTAL_LABEL_RX, country)[0]?.amount ?? null,
+    fees: sum(labelledAmounts(lines, FEE_LABEL_RX, country)),
+    tip: tipLines[0]?.amount ?? null,
+  };
+}
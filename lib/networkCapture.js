@@ -0,0 +1,49 @@
+// lib/networkCapture.js — keep the JSON API responses a page receives, so providers can read
+// order data from the same calls their web app makes instead of from rendered markup.
+// One collector per pooled page; scrapes ask for what arrived since they started.
+
+// Bodies bigger than this are skipped (order payloads are a few KB; map tiles and feeds are not JSON we need).
+const MAX_BODY_BYTES = 2_000_000;
+
+/**
+ * @param {{ on(event: string, fn: Function): void, off?(event: string, fn: Function): void }} page  Puppeteer page
+ * @param {{ match: RegExp, keep?: number, now?: () => number }} opts
+ *   match: response URLs to keep; keep: newest entries retained per page
+ */
+export function attachJsonCollector(page, { match, keep = 20, now = Date.now } = {}) {
+  const entries = []; // { url, at, body }
+  const pending = new Set();
+
+  async function onResponse(res) {
+    try {
+      const url = res.url();
+      if (!match.test(url)) return;
+      if (res.request?.().method?.() === 'OPTIONS') return;
+      if (!res.ok?.()) return;
+      const type = res.headers?.()['content-type'] || '';
+      if (!/json/i.test(type)) return;
+      const len = Number(res.headers?.()['content-length']);
+      if (len > MAX_BODY_BYTES) return;
+      const at = now(); // when the response arrived, not when its body finished reading
+      const read = res.json().then((body) => {
+        entries.push({ url, at, body });
+        if (entries.length > keep) entries.splice(0, entries.length - keep);
+      }).catch(() => {}); // body gone (navigated away) or not actually JSON
+      pending.add(read);
+      await read;
+      pending.delete(read);
+    } catch { /* never let a listener error reach the page */ }
+  }
+  page.on('response', onResponse);
+
+  return {
+    // Entries that arrived at or after `since` (epoch ms), oldest first; waits for bodies still being read.
+    async since(since = 0) {
+      if (pending.size) await Promise.allSettled([...pending]);
+      return entries.filter((e) => e.at >= since);
+    },
+    clear() { entries.length = 0; },
+    detach() { page.off?.('response', onResponse); },
+    get size() { return entries.length; },
+  };
+}
@@ -0,0 +1,42 @@
+// lib/permissions.js — who may start trackers and use tracker controls, per guild settings.
+// Callers describe the actor ({ userId, roleIds, isAdmin, ownsChannel }); every check returns
+// { ok: true } or { ok: false, reason } where reason is shown to the user as-is.
+
+const roleList = (csv) => (csv ? String(csv).split(',').filter(Boolean) : []);
+
+// Staff = server managers, or anyone holding a tracker role. With no tracker roles configured
+// the guild is unrestricted and everyone counts as staff (the original behaviour).
+export function isTrackerStaff(actor, settings) {
+  if (actor.isAdmin) return true;
+  const allowed = roleList(settings.tracker_role_ids);
+  return !allowed.length || allowed.some((id) => actor.roleIds?.includes(id));
+}
+
+export function canStartTracker(actor, settings) {
+  if (isTrackerStaff(actor, settings)) return { ok: true };
+  if (settings.self_track === 'on' && actor.ownsChannel) return { ok: true };
+  const roles = roleList(settings.tracker_role_ids).map((id) => `<@&${id}>`).join(' ');
+  return {
+    ok: false,
+    reason: settings.self_track === 'on'
+      ? `Only ${roles} can start trackers outside their own ticket.`
+      : `Only ${roles} can start trackers in this server.`,
+  };
+}
+
+// /untrack, Keep tracking, /tracking info: staff, or the people attached to this tracker.
+export function canControlTracker(actor, job, settings) {
+  if (isTrackerStaff(actor, settings)) return { ok: true };
+  if ([job.requester_user_id, job.assignee_user_id].includes(actor.userId)) return { ok: true };
+  return { ok: false, reason: 'Only staff, the requester or the assignee can control this tracker.' };
+}
+
+// Subscribing to DM updates. With dm_claim=requester_assignee only the requester, the
+// assignee, server managers and tracker-role holders may subscribe; otherwise anyone.
+export function canClaimDm(actor, job, settings) {
+  if (settings.dm_claim !== 'requester_assignee') return { ok: true };
+  const explicit = actor.isAdmin ||
+    roleList(settings.tracker_role_ids).some((id) => actor.roleIds?.includes(id)) ||
+    [job.requester_user_id, job.assignee_user_id].includes(actor.userId);
+  return explicit ? { ok: true } : { ok: false, reason: 'Only the requester or the assignee can subscribe to DM updates for this order.' };
+}
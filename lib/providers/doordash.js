@@ -0,0 +1,102 @@
+// lib/providers/doordash.js — DoorDash shared tracking pages (track.doordash.com / doordash.com/orders/).
+// DoorDash tags its React tree with data-anchor-id, which is steadier than its hashed class names.
+import * as cheerio from 'cheerio';
+import {
+  extractText, leafTexts, scanBanners, scrapeCourier, scrapeStopsBefore, scrapeProgress,
+  matchDropoffType, bannerPhase,
+} from '../scraper.js';
+import { matchAddress, formatUnit } from '../address.js';
+import { findTotal, findCharges } from '../money.js';
+import { cartItem } from '../cart.js';
+
+const ORDER_URL_RX = /^https?:\/\/(?:(?:www\.)?doordash\.com\/(?:orders\/|drive\/portal\/track\/)|track\.doordash\.com\/)/i;
+const LOGIN_RX = /identity\.doordash\.com|doordash\.com\/consumer\/login/i;
+const DASHER_RX = /\b(?:Dasher|driver),?\s+([A-Z][\p{L}'’-]{1,20}),?\s+is\b|^([A-Z][\p{L}'’-]{1,20}) is your Dasher\b/u;
+const RECIPIENT_RX = /^(?:Delivering to|Deliver to|Recipient:?)\s+([A-Z][\p{L}'’-]{1,30})$/u;
+const PLATE_LINE_RX = /^(?:licen[cs]e )?plate\b/i;
+
+const anchor = ($, id) => $(`[data-anchor-id="${id}"]`).first();
+const leavesOf = ($, el) => el.find('*').addBack()
+  .filter((_, d) => $(d).children().length === 0)
+  .map((_, d) => extractText($, d)).get().filter(Boolean);
+
+export function scrapeDoorDash(html) {
+  const $ = cheerio.load(html);
+  const textAll = $.root().text().replace(/\s+/g, ' ').trim();
+
+  const statusLine = extractText($, anchor($, 'OrderStatusTitle'));
+  const etaLine = extractText($, anchor($, 'OrderStatusEta'));
+  const statusText = [statusLine, etaLine].filter(Boolean).join(' ') || 'Unknown status';
+
+  const store = extractText($, anchor($, 'StoreName'));
+  const leaves = leafTexts($);
+  const name = leaves.map((t) => t.match(RECIPIENT_RX)?.[1]).find(Boolean) || null;
+
+  const dropoff = leavesOf($, anchor($, 'DropoffAddress'));
+  const address = dropoff.find((t) => matchAddress(t)) || null;
+  const unit = dropoff.map(formatUnit).find(Boolean) || null;
+
+  const instructions = leavesOf($, anchor($, 'DropoffInstructions'));
+  const delivery_type = instructions.map(matchDropoffType).find(Boolean) || null;
+  const delivery_note_typed = instructions.filter((t) => !matchDropoffType(t)).at(-1) || null;
+
+  const country = matchAddress(address)?.country;
+  const items = [];
+  $('[data-anchor-id="OrderItem"]').each((_, item) => {
+    const $item = $(item);
+    const parsed = cartItem({
+      qty: extractText($, $item.find('[data-anchor-id="OrderItemQuantity"]')),
+      name: extractText($, $item.find('[data-anchor-id="OrderItemName"]')),
+      modifiers: extractText($, $item.find('[data-anchor-id="OrderItemOptions"]')) || [],
+      price: extractText($, $item.find('[data-anchor-id="OrderItemPrice"]')),
+    }, { country });
+    if (parsed) items.push(parsed);
+  });
+
+  const delivered = /\b(?:delivered|dropped off)\b/i.test(statusText)
+    || (/\bYour order (?:was|has been) delivered\b/i.test(textAll));
+  const { cancelled, reassigned, issue } = scanBanners($, statusLine, statusText, { delivered });
+
+  // Dasher card: vehicle line, then an optional plate line
+  let courier = null;
+  if (!cancelled) {
+    const card = leavesOf($, anchor($, 'DasherInfo'));
+    const parsed = scrapeCourier(null, card);
+    const m = [statusLine, ...leaves].map((t) => (t || '').match(DASHER_RX)).find(Boolean);
+    const courierName = m ? m[1] || m[2] : null;
+    const vehicle = parsed?.vehicle || card.find((t) => !PLATE_LINE_RX.test(t) && !DASHER_RX.test(t)) || null;
+    const plate = parsed?.plate || null;
+    if (courierName || vehicle || plate) courier = { name: courierName, vehicle, plate };
+  }
+
+  return {
+    statusText, statusLine, etaLine, store, name, address, unit,
+    delivery_type, delivery_note_typed, items, delivered, cancelled, issue, reassigned, courier,
+    stops_before: cancelled || delivered ? null : scrapeStopsBefore(leaves),
+    progress: scrapeProgress($),
+    ...findTotal(leaves, { country }),
+    ...findCharges(leaves, { country }),
+  };
+}
+
+export function classifyDoorDashPhase(statusLineRaw = '') {
+  const s = (statusLineRaw || '').toLowerCase();
+  const banner = bannerPhase(s);
+  if (banner) return banner;
+  if (/delivered|dropped off/.test(s)) return 'DELIVERED';
+  if (/arriving (?:soon|now)|nearby|almost (?:there|here)|is (?:here|outside)|approaching/.test(s)) return 'ALMOST_HERE';
+  if (/on (?:the|their|its) way|heading (?:to you|your way)|en route/.test(s)) return 'HEADING';
+  if (/order (?:received|confirmed|placed)|preparing|being (?:prepared|made)|heading to the (?:store|restaurant)|at the (?:store|restaurant)|picking up|waiting for/.test(s)) return 'PREPARING';
+  return null;
+}
+
+export default {
+  id: 'doordash',
+  name: 'DoorDash',
+  home: 'https://www.doordash.com/',
+  example: 'https://track.doordash.com/share/...',
+  matchUrl: (url = '') => ORDER_URL_RX.test(url),
+  isLoginRedirect: (url = '') => LOGIN_RX.test(url),
+  scrape: scrapeDoorDash,
+  classifyPhase: classifyDoorDashPhase,
+};
@@ -0,0 +1,86 @@
+// lib/providers/grubhub.js — Grubhub (and Seamless, same platform) shared order-tracking pages.
+import * as cheerio from 'cheerio';
+import {
+  extractText, leafTexts, scanBanners, scrapeCourier, scrapeStopsBefore, scrapeProgress,
+  matchDropoffType, bannerPhase,
+} from '../scraper.js';
+import { matchAddress, formatUnit } from '../address.js';
+import { findTotal, findCharges } from '../money.js';
+import { cartItem } from '../cart.js';
+
+const ORDER_URL_RX = /^https?:\/\/(?:www\.)?(?:grubhub|seamless)\.com\/(?:order\/track|track|orders?\/tracking)\//i;
+const LOGIN_RX = /(?:grubhub|seamless)\.com\/(?:login|auth)/i;
+const GREETING_RX = /^(?:Thanks|Thank you|Hi|Hey),?\s+([A-Z][\p{L}'’-]{1,30})[!.]?$/u;
+
+const testid = ($, id) => $(`[data-testid="${id}"]`).first();
+const leavesOf = ($, el) => el.find('*').addBack()
+  .filter((_, d) => $(d).children().length === 0)
+  .map((_, d) => extractText($, d)).get().filter(Boolean);
+
+export function scrapeGrubhub(html) {
+  const $ = cheerio.load(html);
+
+  const statusLine = extractText($, testid($, 'order-tracker-status'));
+  const etaLine = extractText($, testid($, 'order-tracker-eta'));
+  const statusText = [statusLine, etaLine].filter(Boolean).join(' ') || 'Unknown status';
+
+  const store = extractText($, testid($, 'restaurant-name'));
+  const leaves = leafTexts($);
+  const name = leaves.map((t) => t.match(GREETING_RX)?.[1]).find(Boolean) || null;
+
+  const dropoff = leavesOf($, testid($, 'delivery-address'));
+  const address = dropoff.find((t) => matchAddress(t)) || null;
+  const unit = dropoff.map(formatUnit).find(Boolean) || null;
+
+  const instructions = leavesOf($, testid($, 'delivery-instructions'));
+  const delivery_type = instructions.map(matchDropoffType).find(Boolean) || null;
+  const delivery_note_typed = instructions.filter((t) => !matchDropoffType(t)).at(-1) || null;
+
+  const country = matchAddress(address)?.country;
+  const items = [];
+  $('[data-testid="order-item"]').each((_, item) => {
+    const $item = $(item);
+    const parsed = cartItem({
+      qty: extractText($, $item.find('[data-testid="order-item-quantity"]')),
+      name: extractText($, $item.find('[data-testid="order-item-name"]')),
+      modifiers: $item.find('[data-testid="order-item-option"]').map((_, o) => extractText($, o)).get(),
+      price: extractText($, $item.find('[data-testid="order-item-price"]')),
+    }, { country });
+    if (parsed) items.push(parsed);
+  });
+
+  const delivered = /\bdelivered\b/i.test(statusText) || testid($, 'order-delivered').length > 0;
+  const { cancelled, reassigned, issue } = scanBanners($, statusLine, statusText, { delivered });
+
+  return {
+    statusText, statusLine, etaLine, store, name, address, unit,
+    delivery_type, delivery_note_typed, items, delivered, cancelled, issue, reassigned,
+    courier: cancelled ? null : scrapeCourier(statusLine, leavesOf($, testid($, 'driver-info'))),
+    stops_before: cancelled || delivered ? null : scrapeStopsBefore(leaves),
+    progress: scrapeProgress($),
+    ...findTotal(leaves, { country }),
+    ...findCharges(leaves, { country }),
+  };
+}
+
+export function classifyGrubhubPhase(statusLineRaw = '') {
+  const s = (statusLineRaw || '').toLowerCase();
+  const banner = bannerPhase(s);
+  if (banner) return banner;
+  if (/delivered|enjoy your (?:food|meal|order)/.test(s)) return 'DELIVERED';
+  if (/arriving (?:soon|now)|nearby|almost (?:there|here)|is (?:here|outside)|around the corner/.test(s)) return 'ALMOST_HERE';
+  if (/picked up|on (?:its|the|their) way|out for delivery|heading/.test(s)) return 'HEADING';
+  if (/order (?:received|confirmed|placed)|being prepared|preparing|restaurant (?:is )?(?:confirm|prepar)|waiting for/.test(s)) return 'PREPARING';
+  return null;
+}
+
+export default {
+  id: 'grubhub',
+  name: 'Grubhub',
+  home: 'https://www.grubhub.com/',
+  example: 'https://www.grubhub.com/order/track/...',
+  matchUrl: (url = '') => ORDER_URL_RX.test(url),
+  isLoginRedirect: (url = '') => LOGIN_RX.test(url),
+  scrape: scrapeGrubhub,
+  classifyPhase: classifyGrubhubPhase,
+};
@@ -0,0 +1,91 @@
+// lib/providers/index.js — registry of delivery apps we can track.
+// A provider knows which links are its own, how to turn a loaded page into the normalized
+// order shape below, and how to read its status wording into our phases. app.js only talks
+// to providers through this module, so /track, the poll loop and the embeds work for all of them.
+import { phaseFromScrape } from '../scraper.js';
+import { MAX_ITEMS, cartLineText } from '../cart.js';
+import ubereats from './ubereats.js';
+import doordash from './doordash.js';
+import grubhub from './grubhub.js';
+
+/**
+ * @typedef {object} Provider
+ * @property {string} id                 stored on jobs; also the test/fixtures/<id>/ directory
+ * @property {string} name               shown to users ("Uber Eats")
+ * @property {string} home               fallback link for buttons
+ * @property {string} example            sample link for validation errors
+ * @property {(url: string) => boolean} matchUrl          public order/tracking links
+ * @property {(url: string) => boolean} isLoginRedirect   landed on the provider's login wall
+ * @property {(html: string) => object} scrape            page HTML → partial order (see ORDER_FIELDS)
+ * @property {(statusLine: string) => string|null} classifyPhase
+ * @property {RegExp} [apiMatch]          optional: JSON API responses worth capturing from the page
+ * @property {(bodies: object[], opts: { url: string }) => object|null} [fromPayloads]  captured bodies for the order at `url` → partial order, null = use HTML
+ */
+export const PROVIDERS = [ubereats, doordash, grubhub];
+
+// Every provider's scrape result is filled out to exactly these keys.
+export const ORDER_FIELDS = {
+  statusText: 'Unknown status',
+  statusLine: null,
+  etaLine: null,
+  store: null,
+  name: null,
+  address: null,
+  unit: null,
+  delivery_type: null,
+  delivery_note_typed: null,
+  cart: [],      // legacy display strings, derived from `items` when a provider only sets those
+  items: [],     // structured cart lines (lib/cart.js CartItem)
+  delivered: false,
+  cancelled: false,
+  issue: null,
+  reassigned: null,
+  courier: null,
+  stops_before: null,
+  progress: null,
+  total: null,    // order total from the receipt (number, in `currency`)
+  currency: null, // ISO 4217 code
+  subtotal: null, // receipt charges above the total, when the page shows them
+  fees: null,     // delivery + service fees and taxes, summed
+  tip: null,
+  source: null, // which path produced the result: 'json' (captured API responses) or 'html'
+};
+
+export function normalizeOrder(partial = {}) {
+  const out = {};
+  for (const [k, def] of Object.entries(ORDER_FIELDS)) out[k] = partial[k] ?? def;
+  out.items = out.items.slice(0, MAX_ITEMS);
+  if (!out.cart.length) out.cart = out.items.map(cartLineText);
+  out.cart = out.cart.slice(0, 12);
+  out.delivered = !!out.delivered && !out.cancelled;
+  return out;
+}
+
+export const providerFor = (url = '') => PROVIDERS.find((p) => p.matchUrl(url)) || null;
+export const providerById = (id) => PROVIDERS.find((p) => p.id === id) || null;
+
+// What a scrape returns for a loaded page: login wall marker, or the normalized order.
+export function parseProviderPage(provider, html, { url = '' } = {}) {
+  if (provider.isLoginRedirect(url)) return { requiresLogin: true };
+  return normalizeOrder({ ...provider.scrape(html), source: 'html' });
+}
+
+// Captured API bodies → normalized order, or null when the provider has no JSON path or none matched.
+export function parseProviderPayloads(provider, bodies, { url = '' } = {}) {
+  const partial = provider.fromPayloads && bodies?.length ? provider.fromPayloads(bodies, { url }) : null;
+  return partial ? normalizeOrder({ ...partial, source: 'json' }) : null;
+}
+
+// Union of every provider's apiMatch, for a page collector shared by all jobs
+export const apiMatchAll = () => {
+  const parts = PROVIDERS.filter((p) => p.apiMatch).map((p) => `(?:${p.apiMatch.source})`);
+  return parts.length ? new RegExp(parts.join('|'), 'i') : /$^/;
+};
+
+export const providerPhase = (provider, data) => phaseFromScrape(data, provider.classifyPhase);
+
+// "Uber Eats, DoorDash or Grubhub" for help text
+export const providerNames = () => {
+  const names = PROVIDERS.map((p) => p.name);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names.at(-1)}` : names[0];
+};
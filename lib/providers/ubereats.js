@@ -0,0 +1,160 @@
+// lib/providers/ubereats.js — Uber Eats public order pages.
+// Two paths: the order page's own JSON API responses (preferred, see fromPayloads) and the
+// rendered-HTML parser in lib/scraper.js as the fallback when no payload was captured.
+import {
+  scrapeFromHTML, isOrderUrl, isLoginRedirect, classifyPhase,
+  scrapeStopsBefore, bannerPhase, isRefundNotice,
+} from '../scraper.js';
+import { matchAddress, formatUnit } from '../address.js';
+import { parseMoney, findCharges } from '../money.js';
+import { cartItem } from '../cart.js';
+
+// The tracking page polls these while it is open (POST, JSON body { orderUuid }).
+const API_RX = /ubereats\.com\/_p\/api\/(?:getActiveOrdersV1|getOrderEntityV1)\b/i;
+
+// orderInfo.orderPhase / interaction types as the web app reports them
+const DONE_PHASES = new Set(['COMPLETED', 'DELIVERED', 'FINISHED']);
+const CANCELLED_PHASES = new Set(['CANCELED', 'CANCELLED', 'FAILED', 'UNFULFILLED']);
+const DROPOFF_TYPES = {
+  door_to_door: 'Meet at my door',
+  leave_at_door: 'Leave at my door',
+  curbside: 'Meet outside',
+  hand_to_me: 'Hand it to me',
+};
+
+const text = (v) => {
+  if (v == null) return null;
+  if (typeof v === 'string') return v.replace(/\s+/g, ' ').trim() || null;
+  // rich-text nodes: { text }, { summary: { text } }, { richTextElements: [{ text: { text: { text } } }] }
+  if (v.summary) return text(v.summary);
+  if (v.richTextElements) return text(v.richTextElements.map((e) => text(e.text?.text ?? e.text)).filter(Boolean).join(' '));
+  if ('text' in v) return text(v.text);
+  return null;
+};
+const cards = (order, type) => [...(order.feedCards || []), ...(order.backgroundFeedCards || [])]
+  .filter((c) => c?.type === type)
+  .flatMap((c) => [].concat(c[type] ?? []));
+
+// "https://www.ubereats.com/orders/<uuid>" → "<uuid>" (lower-case), else null
+export const orderUuid = (url = '') => url.match(/\/orders\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i)?.[1].toLowerCase() || null;
+const uuidOf = (order) => String(order?.uuid ?? order?.orderUuid ?? order?.orderInfo?.uuid ?? '').toLowerCase();
+
+// The tracked order in a getActiveOrdersV1 / getOrderEntityV1 body. Pooled pages and the
+// account-wide active-orders list both carry other orders, so only an exact uuid match counts.
+function orderFrom(body, uuid) {
+  const d = body?.data ?? body;
+  const candidates = Array.isArray(d?.orders) ? d.orders
+    : d?.order ? [d.order]
+    : d?.orderInfo || d?.activeOrderStatus ? [d] : [];
+  return candidates.find((o) => o && uuidOf(o) === uuid) || null;
+}
+
+// Prices come formatted ("$25.00"), or as a number of minor units (2500) in older bodies.
+function itemOf(item, country) {
+  const raw = item.formattedPrice ?? item.price;
+  return cartItem({
+    qty: item.quantity,
+    name: text(item.title ?? item.name),
+    modifiers: (item.customizations || item.itemCustomizations || [])
+      .flatMap((c) => (c.childOptions?.options || c.options || [c]).map((o) => text(o.title ?? o.name)))
+      .filter(Boolean),
+    price: typeof raw === 'number' ? raw / 100 : text(raw),
+  }, { country });
+}
+
+// fareBreakdown: [{ label, value }] rows as the receipt shows them → the leaf-line form findCharges reads
+const fareLines = (summary) => (summary.fareBreakdown || summary.charges || [])
+  .flatMap((r) => [text(r.label ?? r.title), text(r.value ?? r.amount)]);
+
+function vehicleOf(c) {
+  const v = c.vehicle || {};
+  const desc = text(c.vehicleDescription) || [v.color, v.make, v.model].map(text).filter(Boolean).join(' ') || text(v.type);
+  return desc || null;
+}
+
+/**
+ * Map captured API bodies (oldest first) to the order shape; the newest body carrying the order
+ * from `url` wins. Returns null when none of them does, so the caller falls back to HTML.
+ */
+export function fromPayloads(bodies = [], { url = '' } = {}) {
+  const uuid = orderUuid(url);
+  const order = uuid && bodies.map((b) => orderFrom(b, uuid)).filter(Boolean).at(-1);
+  if (!order) return null;
+
+  const info = order.orderInfo || {};
+  const status = order.activeOrderStatus || {};
+  const statusLine = text(status.titleSummary) || text(status.title);
+  const subtitle = text(status.subtitleSummary) || text(status.subtitle);
+  const etaLine = subtitle && /\b(?:arriv|estimated|min|by \d)/i.test(subtitle) ? subtitle : null;
+  const statusText = [statusLine, etaLine].filter(Boolean).join(' ') || 'Unknown status';
+
+  const summary = cards(order, 'orderSummary')[0] || {};
+  const delivery = cards(order, 'delivery')[0] || info.deliveryInfo || {};
+  const courierCard = cards(order, 'courier')[0] || null;
+
+  const orderPhase = String(info.orderPhase || '').toUpperCase();
+  const bannerLine = [statusLine, subtitle].find((t) => t && bannerPhase(t)) || null;
+  const banner = bannerLine ? bannerPhase(bannerLine) : null;
+  const done = DONE_PHASES.has(orderPhase) || classifyPhase(statusLine || '') === 'DELIVERED';
+  // A partial refund on a completed order is not a cancellation.
+  const cancelled = CANCELLED_PHASES.has(orderPhase) || (banner === 'CANCELLED' && !(done && isRefundNotice(bannerLine)));
+  const delivered = !cancelled && done;
+
+  const apt = text(delivery.aptOrSuite ?? delivery.apartment);
+  const interaction = String(delivery.interactionType || '').toLowerCase();
+  const deliveryType = [DROPOFF_TYPES[interaction] || null, text(delivery.deliveryOption ?? info.deliveryOption)]
+    .filter(Boolean).join(' • ') || null;
+
+  const plate = courierCard && (text(courierCard.licensePlate) || text(courierCard.vehicle?.licensePlate));
+  const courier = !cancelled && courierCard
+    ? { name: text(courierCard.name ?? courierCard.title), vehicle: vehicleOf(courierCard), plate: plate ? plate.toUpperCase() : null }
+    : null;
+
+  const total = Number(status.totalProgress);
+  const step = Number(status.currentProgress);
+  const progress = Number.isInteger(total) && total > 0 && Number.isInteger(step)
+    ? { step: Math.min(Math.max(step, 0), total), total, label: statusLine }
+    : null;
+
+  const address = text(delivery.formattedAddress) || text(delivery.address?.address1);
+  const country = matchAddress(address)?.country;
+  // totals come formatted ("£18.40"); an explicit currencyCode beats guessing from the symbol
+  const money = parseMoney(text(summary.total ?? info.orderTotal), { country });
+  const currencyCode = text(info.currencyCode ?? summary.currencyCode);
+  const charges = findCharges(fareLines(summary), { country });
+  return {
+    statusText,
+    statusLine,
+    etaLine,
+    store: text(info.storeInfo?.name) || text(summary.restaurantName),
+    name: text(info.customerInfos?.[0]?.firstName) || text(delivery.recipientName),
+    address,
+    unit: apt ? formatUnit(apt) || `Apt: ${apt}` : null,
+    delivery_type: deliveryType,
+    delivery_note_typed: text(delivery.notes ?? delivery.deliveryInstructions),
+    items: (summary.items || info.items || []).map((it) => itemOf(it, country)).filter(Boolean),
+    delivered,
+    cancelled,
+    issue: !cancelled && banner === 'ISSUE' ? bannerLine : null,
+    reassigned: !cancelled && banner === 'COURIER_REASSIGNED' ? bannerLine : null,
+    courier,
+    stops_before: cancelled || delivered ? null : scrapeStopsBefore([statusLine, subtitle].filter(Boolean)),
+    progress,
+    total: money?.amount ?? null,
+    currency: money ? currencyCode || money.currency : null,
+    ...charges,
+  };
+}
+
+export default {
+  id: 'ubereats',
+  name: 'Uber Eats',
+  home: 'https://www.ubereats.com/',
+  example: 'https://www.ubereats.com/orders/...',
+  matchUrl: isOrderUrl,
+  isLoginRedirect,
+  scrape: scrapeFromHTML,
+  classifyPhase,
+  apiMatch: API_RX,
+  fromPayloads,
+};
@@ -0,0 +1,364 @@
+// lib/scraper.js — pure HTML → order data parsing (no Discord, no browser).
+// Kept separate from app.js so it can be exercised offline against saved fixtures (see test/).
+// This is the Uber Eats parser plus the helpers other providers share (lib/providers/).
+import * as cheerio from 'cheerio';
+import { matchAddress, formatUnit, isUnitLine } from './address.js';
+import { findTotal, findCharges } from './money.js';
+import { cartItem, isPriceText } from './cart.js';
+
+export function extractText($, el) {
+  const t = $(el).text().replace(/\s+/g, ' ').trim();
+  return t || null;
+}
+
+/* ─────────────── Scraping (Cheerio) ─────────────── */
+export function scrapeFromHTML(html) {
+  const $ = cheerio.load(html);
+  const textAll = $.root().text().replace(/\s+/g, ' ').trim();
+
+  // STATUS + ETA
+  let statusLine = null, etaLine = null, statusText = 'Unknown status';
+  const sticky = $('[data-testid="active-order-sticky-eta"]').first();
+  if (sticky.length) {
+    const lines = sticky.find('div').map((_, d) => extractText($, d)).get().filter(Boolean);
+    statusLine = lines[0] || null;
+    etaLine = lines.find((t) => /estimated/i.test(t)) || null;
+    statusText = [statusLine, etaLine].filter(Boolean).join(' ');
+  }
+
+  // STORE: "From <store>"
+  let store = null;
+  const fromNodes = $('div,span,p')
+    .filter((_, el) => {
+      const t = extractText($, el);
+      return t && /^From\s+/.test(t) && t.length <= 80;
+    })
+    .map((_, el) => extractText($, el)).get();
+  if (fromNodes.length) store = fromNodes[0].replace(/^From\s+/i, '').trim();
+
+  // NAME from status line
+  let name = null;
+  const nm = (statusLine || statusText || '').match(/(?:preparing|picking up|heading)\s+(.+?)['’]s\s+(?:order|way)/i);
+  if (nm) name = nm[1];
+
+  // ADDRESS from container-0 only (any format lib/address.js knows: US, CA, UK, AU, EU)
+  let address = null, country = null;
+  const c0 = $('[data-testid="delivery-text-container-0"]').first();
+  if (c0.length) {
+    const leaves = c0.find('div').filter((_, d) => $(d).children().length === 0);
+    leaves.each((_, d) => {
+      const t = extractText($, d);
+      const hit = matchAddress(t);
+      if (hit) { address = t; country = hit.country; return false; }
+    });
+    if (!address) {
+      const hit = matchAddress(extractText($, c0));
+      if (hit) ({ address, country } = hit);
+    }
+  }
+
+  // UNIT (apt/suite/floor, any language lib/address.js knows)
+  let unit = null;
+  const c1 = $('[data-testid="delivery-text-container-1"]').first();
+  if (c1.length) {
+    // Leaves only: the container also holds the drop-off type and note, and its
+    // flattened text would glue those onto the unit ("Suite 210Hand it to me").
+    c1.find('div').filter((_, d) => $(d).children().length === 0).each((_, d) => {
+      unit = formatUnit(extractText($, d));
+      if (unit) return false;
+    });
+  }
+  // UK/EU style: the flat is the first part of the address line ("Flat 3, 221B Baker Street, …")
+  if (!unit && address) unit = formatUnit(address.split(',')[0]);
+
+  // DELIVERY TYPE + NOTE (NOTE only from container-1)
+  let delivery_type = null;
+  let delivery_note_typed = null;
+
+  const OPTION_RX = /\b(standard|priority|rush|asap|express|economy|saver)\b/i;
+  const LABEL_RX = /^(address|delivery option|delivery options)$/i;
+
+  if (c1.length) {
+    const leaves = c1.find('div').filter((_, d) => $(d).children().length === 0).get();
+    for (let i = leaves.length - 1; i >= 0; i--) {
+      const t = extractText($, leaves[i]);
+      if (!t) continue;
+      if (LABEL_RX.test(t)) continue;
+      if (DROPOFF_TYPE_RX.test(t)) continue;
+      if (OPTION_RX.test(t)) continue;
+      if (matchAddress(t)) continue;
+      if (isUnitLine(t)) continue;
+      delivery_note_typed = t;
+      break;
+    }
+  }
+  const scanType = (sel) => {
+    const cont = $(sel).first();
+    if (!cont.length) return { type: null, opt: null };
+    let typeLbl = null, optionLbl = null;
+    cont.find('div').each((_, d) => {
+      const t = extractText($, d); if (!t) return;
+      if (!typeLbl && DROPOFF_TYPE_RX.test(t)) { typeLbl = t.match(DROPOFF_TYPE_RX)[0]; return; }
+      if (!optionLbl && OPTION_RX.test(t)) {
+        const m = t.match(OPTION_RX);
+        if (m) optionLbl = m[1].charAt(0).toUpperCase() + m[1].slice(1).toLowerCase();
+      }
+    });
+    return { type: typeLbl, opt: optionLbl };
+  };
+  const t1 = scanType('[data-testid="delivery-text-container-1"]');
+  const t2 = scanType('[data-testid="delivery-text-container-2"]');
+  const typeLbl = t1.type || t2.type;
+  const optLbl  = t1.opt  || t2.opt;
+  delivery_type = [typeLbl, optLbl].filter(Boolean).join(' • ') || null;
+  if (!delivery_type) {
+    const mAny = textAll.match(DROPOFF_TYPE_RX);
+    if (mAny) delivery_type = mAny[0];
+  }
+
+  // CART (the line price is the item's only price-looking leaf)
+  const cartSel = '[data-testid="order-summary-card-item"], [data-testid*="order-summary-card-item"]';
+  const items = [];
+  $(cartSel).each((_, item) => {
+    const $item = $(item);
+    const nameDiv = $item.find('div.bo.bp.bq.br').first();
+    const name = extractText($, nameDiv.length ? nameDiv : item);
+    const det  = extractText($, $item.find('div.bo.cn.bq.dq.g6, div.bo.cn.bq.dq.g7').first());
+    const price = $item.find('div,span').map((_, el) => extractText($, el)).get().find((t) => isPriceText(t));
+    const parsed = cartItem({ name, modifiers: det || [], price }, { country });
+    if (parsed) items.push(parsed);
+  });
+
+  // Delivered?
+  let delivered = /\b(delivered|order arrived)\b/i.test(statusText);
+  if (!delivered) {
+    const enjoy = /Enjoy your order!/i.test(textAll);
+    const thanks = /Thanks for using Uber Eats\./i.test(textAll);
+    const backBtn = $('[data-testid="back-to-restaurants-primary-action"]').length > 0;
+    if ((enjoy && thanks) || backBtn) delivered = true;
+  }
+
+  // Cancelled / problem banners (these used to fall through to "last phase")
+  const { cancelled, reassigned, issue } = scanBanners($, statusLine, statusText, { delivered });
+
+  const leaves = leafTexts($);
+  const { total, currency } = findTotal(leaves, { country });
+  const charges = findCharges(leaves, { country });
+  const courier = cancelled ? null : scrapeCourier(statusLine, leaves);
+  const stops_before = cancelled || delivered ? null : scrapeStopsBefore(leaves);
+  const progress = scrapeProgress($);
+
+  return {
+    statusText,
+    statusLine,
+    etaLine,
+    store,
+    name,
+    address,
+    unit,
+    delivery_type,
+    delivery_note_typed,
+    items,
+    delivered: delivered && !cancelled,
+    cancelled,
+    issue,
+    reassigned,
+    courier,
+    stops_before,
+    progress,
+    total,
+    currency,
+    ...charges,
+  };
+}
+
+/* ─────────────── Shared page helpers ─────────────── */
+const DROPOFF_TYPE_RX = /(leave (?:it )?at (?:my )?door|hand it to me|meet (?:at )?(?:the |my )?door|meet outside|deliver (?:to|at) (?:my )?door)/i;
+
+export const matchDropoffType = (text) => (text && text.match(DROPOFF_TYPE_RX)?.[0]) || null;
+
+// Leaf lines only (elements without children), so we get sentences rather than glued containers.
+export function leafTexts($) {
+  return $('h1,h2,h3,div,span,p,li')
+    .filter((_, el) => $(el).children().length === 0)
+    .map((_, el) => extractText($, el)).get()
+    .filter((t) => t && t.length <= 200);
+}
+
+// Banner containers the tracking pages announce cancellations and delays in. Only these and the
+// status line are scanned: help/FAQ copy elsewhere ("What if my order is running late?") is not a banner.
+const BANNER_SEL = '[role="alert"], [role="status"], [aria-live]';
+
+// Cancelled / issue / reassigned banners: the status line first, then the page's banner containers.
+// A refund notice alone only means cancelled when nothing on the page says the order was delivered
+// (partial refunds for missing items are shown on delivered orders too).
+export function scanBanners($, statusLine, statusText = statusLine || '', { delivered = false } = {}) {
+  const banners = $(BANNER_SEL).find('*').addBack()
+    .filter((_, el) => $(el).children().length === 0)
+    .map((_, el) => extractText($, el)).get()
+    .filter((t) => t && t.length <= 200);
+  const bannerText = (rx) => (rx.test(statusText) ? statusLine || statusText : banners.find((t) => rx.test(t)) || null);
+  const cancelled = !!bannerText(CANCELLED_RX) || (!delivered && !!bannerText(REFUND_RX));
+  return {
+    cancelled,
+    reassigned: cancelled ? null : bannerText(REASSIGNED_RX),
+    issue: cancelled ? null : bannerText(ISSUE_RX),
+  };
+}
+
+/* ─────────────── Courier / batching / progress ─────────────── */
+const COURIER_STATUS_RX = /^(?!(?:Your|The|Order|Courier|Driver|Delivery|It)\b)([A-Z][\p{L}'’-]{1,20}) is (?:heading|on (?:the|their) way|almost|arriving|nearby|picking up|at the|completing|driving|riding|outside|here)\b/u;
+const COURIER_INTRO_RX = /^(?:[Yy]our (?:courier|driver|delivery person) is ([A-Z][\p{L}'’-]{1,20})|([A-Z][\p{L}'’-]{1,20}) is your (?:courier|driver|delivery person))\b/u;
+const VEHICLE_RX = /^(?:([A-Z][\p{L}'’-]{1,20}) is )?(?:driving|riding) (?:a|an) (.+?)\.?$/iu;
+const PLATE_RX = /^(?:licen[cs]e )?plate(?: number)?\s*[:#-]?\s*([A-Z0-9][A-Z0-9 -]{1,9}[A-Z0-9])$/i;
+const PLATE_TOKEN_RX = /^(?=[A-Z0-9 -]*\d)[A-Z0-9][A-Z0-9 -]{1,8}[A-Z0-9]$/;
+const WORD_NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+const STOPS_RX = /\b(\d+|one|two|three|four|five) (?:more )?(?:stops?|deliver(?:y|ies)|orders?) (?:before|ahead of) (?:yours|you)\b/i;
+const ONE_STOP_RX = /\b(?:completing|finishing|dropping off|making|picking up) (?:another|a nearby|one more|an earlier) (?:delivery|order|drop-?off)\b/i;
+
+// Courier card: first name from the status line or intro, vehicle + plate from leaf lines.
+// Vehicle lines come as "Marco is driving a Silver Toyota Corolla" or "Toyota Corolla • 7XYZ123".
+export function scrapeCourier(statusLine, leaves = []) {
+  let name = null, vehicle = null, plate = null;
+  const sm = (statusLine || '').match(COURIER_STATUS_RX);
+  if (sm) name = sm[1];
+  for (const t of leaves) {
+    if (!name) {
+      const im = t.match(COURIER_INTRO_RX);
+      if (im) name = im[1] || im[2];
+    }
+    if (!vehicle) {
+      const vm = t.match(VEHICLE_RX);
+      if (vm && !/\b(?:way|delivery|order)\b/i.test(vm[2])) {
+        if (!name && vm[1]) name = vm[1];
+        const parts = vm[2].split(/\s+[•·|]\s+/);
+        vehicle = parts[0];
+        if (!plate && parts[1] && PLATE_TOKEN_RX.test(parts[1])) plate = parts[1];
+        continue;
+      }
+    }
+    if (!plate) {
+      const pm = t.match(PLATE_RX);
+      if (pm) { plate = pm[1].toUpperCase(); continue; }
+    }
+    if (!vehicle) {
+      const parts = t.split(/\s+[•·|]\s+/);
+      if (parts.length === 2 && PLATE_TOKEN_RX.test(parts[1]) && /^[A-Z][\p{L}-]+(?: [\p{L}0-9-]+){1,3}$/u.test(parts[0])) {
+        vehicle = parts[0];
+        plate = plate || parts[1];
+      }
+    }
+  }
+  if (!name && !vehicle && !plate) return null;
+  return { name, vehicle, plate };
+}
+
+// Batched orders: "2 stops before yours" / "Marco is completing another delivery" (= one stop).
+export function scrapeStopsBefore(leaves = []) {
+  for (const t of leaves) {
+    const m = t.match(STOPS_RX);
+    if (m) return WORD_NUMBERS[m[1].toLowerCase()] ?? Number(m[1]);
+  }
+  return leaves.some((t) => ONE_STOP_RX.test(t)) ? 1 : null;
+}
+
+const STEP_DONE_RX = /^\s*(?:complete|completed|done|active|current)\s*$/i;
+const STEP_CURRENT_RX = /^\s*(?:step|true)\s*$/i;
+
+// Order-step progress bar: aria progressbar first, then the segmented step list.
+export function scrapeProgress($) {
+  const bar = $('[role="progressbar"]').first();
+  if (bar.length) {
+    const step = Number(bar.attr('aria-valuenow'));
+    const total = Number(bar.attr('aria-valuemax'));
+    if (Number.isInteger(step) && Number.isInteger(total) && total > 0) {
+      return { step: Math.min(Math.max(step, 0), total), total, label: bar.attr('aria-valuetext') || bar.attr('aria-label') || null };
+    }
+  }
+  const steps = $('[data-testid^="order-progress-step"]');
+  if (steps.length) {
+    let step = 0, label = null;
+    steps.each((i, el) => {
+      // whole values only: "incomplete" / "inactive" steps are still pending
+      const done = STEP_DONE_RX.test($(el).attr('data-state') || '') || STEP_CURRENT_RX.test($(el).attr('aria-current') || '');
+      if (done) { step = i + 1; label = extractText($, el) || label; }
+    });
+    return { step, total: steps.length, label };
+  }
+  return null;
+}
+
+// Step count for the embed: scraped bar when Uber shows one, otherwise derived from the phase.
+const PHASE_STEPS = ['PREPARING', 'HEADING', 'ALMOST_HERE', 'DELIVERED'];
+export function orderProgress(data, phase) {
+  if (data?.progress?.total) return data.progress;
+  const i = PHASE_STEPS.indexOf(phase === 'ISSUE' || phase === 'COURIER_REASSIGNED' ? null : phase);
+  return i >= 0 ? { step: i + 1, total: PHASE_STEPS.length, label: phaseLabel(phase) } : null;
+}
+
+// "▰▰▰▱ 3/4": one segment per step for step lists; percentage bars (0–100) scale to `width` segments.
+export function progressBar(progress, { width = 10 } = {}) {
+  if (!progress?.total) return null;
+  const step = Math.min(Math.max(progress.step, 0), progress.total);
+  if (progress.total <= width) return '▰'.repeat(step) + '▱'.repeat(progress.total - step) + ` ${step}/${progress.total}`;
+  const filled = Math.floor((step / progress.total) * width);
+  return '▰'.repeat(filled) + '▱'.repeat(width - filled) + ` ${Math.round((step / progress.total) * 100)}%`;
+}
+
+// Public order page links we know how to track.
+export const isOrderUrl = (url = '') => /^https?:\/\/(www\.)?ubereats\.com\/orders\//i.test(url);
+
+// Uber bounces private (non-shared) order links to its login host.
+export const isLoginRedirect = (url = '') => /auth\.uber\.com/i.test(url);
+
+/* ─────────────── Phase ─────────────── */
+const CANCELLED_RX = /\b(?:order (?:was |has been )?cancell?ed|cancell?ed (?:your|this) order)\b/i;
+const REFUND_RX = /\brefund (?:has been |was )?(?:issued|processed)\b/i;
+const REASSIGNED_RX = /\b(?:new (?:courier|delivery person|driver)|(?:courier|driver) (?:was |has been )?(?:reassigned|changed)|finding (?:you )?(?:a )?new (?:courier|driver))\b/i;
+const ISSUE_RX = /\b(?:(?:courier|driver) is having trouble|running late|(?:order|delivery) (?:is|has been) delayed|taking longer than (?:usual|expected)|problem with your order|issue with your order)\b/i;
+
+// Banner phases every provider shares; checked before the provider's own status wording.
+export function bannerPhase(statusLineRaw = '') {
+  const s = statusLineRaw || '';
+  if (CANCELLED_RX.test(s) || REFUND_RX.test(s)) return 'CANCELLED';
+  if (REASSIGNED_RX.test(s)) return 'COURIER_REASSIGNED';
+  if (ISSUE_RX.test(s)) return 'ISSUE';
+  return null;
+}
+
+// A refund line that does not itself say the order was cancelled ("A refund has been issued for 1 missing item").
+export const isRefundNotice = (text = '') => REFUND_RX.test(text || '') && !CANCELLED_RX.test(text || '');
+
+export function classifyPhase(statusLineRaw = '') {
+  const s = (statusLineRaw || '').toLowerCase();
+  const banner = bannerPhase(s);
+  if (banner) return banner;
+  if (/received|preparing|confirm(ed|ing)?|waiting for the store|getting (the )?order ready/.test(s)) return 'PREPARING';
+  if (/(heading .* way|on the way|head(?:ing)? your way)/i.test(s)) return 'HEADING';
+  if (/(almost there|nearby|here|arriving)/i.test(s)) return 'ALMOST_HERE';
+  if (/(delivered|order arrived)/i.test(s)) return 'DELIVERED';
+  return null;
+}
+export function phaseLabel(phase) {
+  return phase === 'PREPARING' ? 'Preparing'
+    : phase === 'HEADING' ? 'Heading your way'
+    : phase === 'ALMOST_HERE' ? 'Almost here'
+    : phase === 'DELIVERED' ? 'Delivered'
+    : phase === 'CANCELLED' ? 'Cancelled'
+    : phase === 'ISSUE' ? 'Delayed / issue'
+    : phase === 'COURIER_REASSIGNED' ? 'New courier assigned'
+    : 'Unknown';
+}
+
+// Phase for a full scrape result: banners win over the status line, terminal states win over banners.
+// `classify` is the provider's status-line classifier (Uber Eats wording by default).
+export function phaseFromScrape(data, classify = classifyPhase) {
+  if (!data || data.requiresLogin) return null;
+  if (data.cancelled) return 'CANCELLED';
+  if (data.delivered) return 'DELIVERED';
+  const fromStatus = classify(data.statusLine || data.statusText);
+  if (fromStatus === 'CANCELLED' || fromStatus === 'DELIVERED') return fromStatus;
+  if (data.reassigned) return 'COURIER_REASSIGNED';
+  if (data.issue) return 'ISSUE';
+  return fromStatus;
+}
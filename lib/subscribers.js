@@ -0,0 +1,26 @@
+// lib/subscribers.js — DM subscriber preferences: which notices each level receives,
+// and the plain-text commands subscribers can reply with in DMs.
+
+// level → label shown in the preferences menu
+export const SUBSCRIBER_LEVELS = {
+  all: 'Every status change and new ETA',
+  eta: 'ETA changes + final outcome',
+  delivery: 'Delivery / cancellation only',
+};
+export const DEFAULT_LEVEL = 'all';
+
+// sub: a job_subscribers row; kind: 'phase' | 'eta' | 'final'. Muted subscribers get nothing.
+export function wantsNotice(sub, kind) {
+  if (!sub || sub.muted) return false;
+  if (kind === 'final') return true;
+  if (kind === 'eta') return sub.level === 'all' || sub.level === 'eta';
+  return sub.level === 'all';
+}
+
+// "mute" / "stop" / "unmute" / "resume" sent to the bot in DMs (case and punctuation ignored).
+export function parseDmCommand(text) {
+  const word = String(text || '').trim().toLowerCase().replace(/[^a-z]/g, '');
+  if (word === 'mute' || word === 'stop') return 'mute';
+  if (word === 'unmute' || word === 'resume') return 'unmute';
+  return null;
+}
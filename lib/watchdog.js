@@ -0,0 +1,33 @@
+// lib/watchdog.js — decides when a tracker has gone stale.
+// Two signals: how long the job has sat in its current phase, and how many scrapes
+// have failed in a row. Each has a "warn" and a "stop" limit.
+
+export function watchdogLimits(env = process.env) {
+  const min = (k, d) => Number(env[k] || d) * 60_000;
+  return {
+    phaseWarnMs: min('STALE_WARN_MIN', 90),
+    phaseStopMs: min('STALE_STOP_MIN', 180),
+    errorsWarn: Number(env.STALE_ERRORS_WARN || 5),
+    errorsStop: Number(env.STALE_ERRORS_STOP || 15),
+  };
+}
+
+const fmtMin = (ms) => `${Math.round(ms / 60_000)} min`;
+
+// job: a jobs row (phase_since, created_at, error_streak). Returns { level, kind, reason, stopAt }
+// where level is null (healthy), 'warn' or 'stop'; kind is 'errors' or 'phase';
+// stopAt is an ISO string for the time-based limit.
+export function staleCheck(job, limits, now = Date.now()) {
+  const since = new Date(job.phase_since || job.created_at).getTime();
+  const idleMs = Math.max(0, now - since);
+  const streak = Number(job.error_streak || 0);
+  const stopAt = new Date(since + limits.phaseStopMs).toISOString();
+
+  const errors = { kind: 'errors', reason: `${streak} failed scrapes in a row`, stopAt: null };
+  const phase = { kind: 'phase', reason: `no status change for ${fmtMin(idleMs)}`, stopAt };
+  if (streak >= limits.errorsStop) return { level: 'stop', ...errors };
+  if (idleMs >= limits.phaseStopMs) return { level: 'stop', ...phase };
+  if (streak >= limits.errorsWarn) return { level: 'warn', ...errors };
+  if (idleMs >= limits.phaseWarnMs) return { level: 'warn', ...phase };
+  return { level: null, kind: null, reason: null, stopAt };
+}
@@ -0,0 +1,176 @@
+// lib/webhooks.js — outbound, HMAC-signed webhooks for order lifecycle events.
+// Hooks are configured per guild (optionally narrowed to one channel). Every event is
+// written to a SQLite delivery queue first and sent by a worker with retry/backoff,
+// so nothing is lost across restarts.
+//
+// Request headers:
+//   X-Tracker-Event:      <event name>
+//   X-Tracker-Delivery:   <delivery id>
+//   X-Tracker-Timestamp:  <unix seconds>
+//   X-Tracker-Signature:  sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+import crypto from 'node:crypto';
+
+export const WEBHOOK_EVENTS = ['tracking_started', 'phase_changed', 'delivered', 'cancelled', 'login_required', 'tracker_stopped'];
+
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// For receivers (and tests): constant-time check plus a freshness window.
+export function verifySignature(secret, { timestamp, signature, body, toleranceSec = 300, now = Date.now() }) {
+  if (!timestamp || !signature) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSec) return false;
+  const want = Buffer.from(signPayload(secret, timestamp, body));
+  const got = Buffer.from(String(signature));
+  return want.length === got.length && crypto.timingSafeEqual(want, got);
+}
+
+// 15s, 30s, 1m, 2m … capped at 1h
+export const backoffMs = (attempts) => Math.min(60 * 60_000, 15_000 * 2 ** Math.max(0, attempts - 1));
+
+function ensureSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      channel_id TEXT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhooks_guild ON webhooks(guild_id);
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL,
+      last_error TEXT,
+      failed_at TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(failed_at, next_attempt_at);
+  `);
+}
+
+export function createWebhookDispatcher({
+  db,
+  fetchImpl = globalThis.fetch,
+  maxAttempts = 8,
+  timeoutMs = 10_000,
+  onGiveUp = () => {},
+  log = () => {},
+}) {
+  ensureSchema(db);
+  const iso = (ms = Date.now()) => new Date(ms).toISOString();
+  const stats = { sent: 0, failed: 0, gaveUp: 0 };
+  let timer = null;
+  let busy = false;
+
+  const hooksFor = (guild_id, channel_id, event) =>
+    db.prepare('SELECT * FROM webhooks WHERE guild_id = ? AND (channel_id IS NULL OR channel_id = ?)')
+      .all(guild_id, channel_id)
+      .filter((h) => !h.events || h.events.split(',').includes(event));
+
+  async function send(hook, delivery) {
+    const ts = Math.floor(Date.now() / 1000);
+    const ctl = new AbortController();
+    const t = setTimeout(() => ctl.abort(), timeoutMs);
+    try {
+      const res = await fetchImpl(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ue-tracker-webhooks/1',
+          'X-Tracker-Event': delivery.event,
+          'X-Tracker-Delivery': String(delivery.id),
+          'X-Tracker-Timestamp': String(ts),
+          'X-Tracker-Signature': signPayload(hook.secret, ts, delivery.payload),
+        },
+        body: delivery.payload,
+        signal: ctl.signal,
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  return {
+    addHook({ guild_id, channel_id = null, url, events = null }) {
+      const secret = crypto.randomBytes(24).toString('hex');
+      const list = events?.length ? events.join(',') : null;
+      const { lastInsertRowid } = db.prepare(
+        'INSERT INTO webhooks (guild_id, channel_id, url, secret, events, created_at) VALUES (?, ?, ?, ?, ?, ?)'
+      ).run(guild_id, channel_id, url, secret, list, iso());
+      return { id: Number(lastInsertRowid), secret };
+    },
+    listHooks(guild_id) {
+      return db.prepare('SELECT id, guild_id, channel_id, url, events, created_at FROM webhooks WHERE guild_id = ? ORDER BY id').all(guild_id);
+    },
+    removeHook(guild_id, id) {
+      db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT id FROM webhooks WHERE id = ? AND guild_id = ?)').run(id, guild_id);
+      return db.prepare('DELETE FROM webhooks WHERE id = ? AND guild_id = ?').run(id, guild_id).changes > 0;
+    },
+
+    // Queue one delivery per matching hook; returns how many were queued.
+    enqueue({ guild_id, channel_id = null, event, payload }) {
+      const hooks = hooksFor(guild_id, channel_id, event);
+      const insert = db.prepare(
+        'INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, created_at) VALUES (?, ?, ?, ?, ?)'
+      );
+      const body = JSON.stringify({ event, ...payload });
+      db.transaction(() => { for (const h of hooks) insert.run(h.id, event, body, iso(), iso()); })();
+      return hooks.length;
+    },
+
+    // Send everything that is due, oldest first.
+    async processDue(now = Date.now()) {
+      if (busy) return 0;
+      busy = true;
+      try {
+        const due = db.prepare(`
+          SELECT d.*, w.url, w.secret, w.guild_id FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+          WHERE d.failed_at IS NULL AND d.next_attempt_at <= ? ORDER BY d.id LIMIT 50
+        `).all(iso(now));
+        for (const d of due) {
+          try {
+            await send({ url: d.url, secret: d.secret }, d);
+            db.prepare('DELETE FROM webhook_deliveries WHERE id = ?').run(d.id);
+            stats.sent++;
+          } catch (e) {
+            const attempts = d.attempts + 1;
+            const msg = String(e?.name === 'AbortError' ? 'timeout' : e?.message || e);
+            stats.failed++;
+            if (attempts >= maxAttempts) {
+              db.prepare('UPDATE webhook_deliveries SET attempts = ?, last_error = ?, failed_at = ? WHERE id = ?').run(attempts, msg, iso(), d.id);
+              stats.gaveUp++;
+              onGiveUp({ id: d.id, webhook_id: d.webhook_id, guild_id: d.guild_id, url: d.url, event: d.event, error: msg });
+            } else {
+              db.prepare('UPDATE webhook_deliveries SET attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?')
+                .run(attempts, msg, iso(Date.now() + backoffMs(attempts)), d.id);
+              log('webhook retry scheduled', { id: d.id, attempts, error: msg });
+            }
+          }
+        }
+        return due.length;
+      } finally {
+        busy = false;
+      }
+    },
+
+    start(intervalMs = 5_000) {
+      if (!timer) timer = setInterval(() => this.processDue().catch(() => {}), intervalMs);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    stats() {
+      const pending = db.prepare('SELECT COUNT(*) AS n FROM webhook_deliveries WHERE failed_at IS NULL').get().n;
+      return { pending, ...stats };
+    },
+  };
+}
@@ -0,0 +1,51 @@
+// test/address.test.js — address formats and unit labels per locale (page-level cases live in the fixtures).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchAddress, formatUnit, isUnitLine } from '../lib/address.js';
+
+test('matchAddress recognizes US, CA, UK, AU and EU formats', () => {
+  const cases = {
+    '1420 Oak Street, Springfield, IL 62704, US': 'US',
+    '1420 Oak Street, Springfield, IL 62704-1234': 'US',
+    '350 King St W, Toronto, ON M5V 3L9, Canada': 'CA',
+    '1000 Rue Sherbrooke O, Montréal, QC H3A 3G4': 'CA',
+    '10 Downing Street, Westminster, London, SW1A 2AA': 'GB',
+    '221B Baker Street, London NW1 6XE, UK': 'GB',
+    '5/12 George St, Sydney NSW 2000, Australia': 'AU',
+    '88 Collins Street, Melbourne VIC 3000': 'AU',
+    'Hauptstraße 5, 10115 Berlin, Germany': 'EU',
+    '12 Rue de Rivoli, 75001 Paris, France': 'EU',
+    'Damrak 1, 1012 LG Amsterdam': 'EU',
+    'Calle Mayor 5, 28013 Madrid': 'EU',
+    'ul. Marszałkowska 1, 00-001 Warszawa': 'EU',
+  };
+  for (const [text, country] of Object.entries(cases)) {
+    assert.deepEqual(matchAddress(text), { address: text, country }, text);
+  }
+  // surrounding text is trimmed off; the flat stays with the unit, not the address
+  assert.deepEqual(matchAddress('Flat 3, 221B Baker Street, London NW1 6XE, UK'), { address: '221B Baker Street, London NW1 6XE, UK', country: 'GB' });
+  for (const text of ['Leave at my door', 'Blue door, ring twice', 'Standard', '', null]) assert.equal(matchAddress(text), null, String(text));
+});
+
+test('formatUnit reads unit labels in several languages', () => {
+  const cases = {
+    'Apt 4B': 'Apt: 4B',
+    'Suite: 210': 'Suite: 210',
+    '#12': '#: 12',
+    'Flat 3': 'Flat: 3',
+    'Unit 5/12': 'Unit: 5/12',
+    '4th floor': 'Floor: 4th',
+    'Appartement 12': 'Appartement: 12',
+    '3e étage': 'Étage: 3e',
+    'Whg. 3': 'Whg: 3',
+    '2. Stock': 'Stock: 2.',
+    'Piso 3º B': 'Piso: 3º B',
+    'Interno 7': 'Interno: 7',
+    'Apto 101': 'Apto: 101',
+  };
+  for (const [text, unit] of Object.entries(cases)) assert.equal(formatUnit(text), unit, text);
+  for (const text of ['Porte bleue', 'Piano is loud', 'Apartment', 'Leave at my door', '']) {
+    assert.equal(formatUnit(text), null, text);
+    assert.equal(isUnitLine(text), false, text);
+  }
+});
@@ -0,0 +1,72 @@
+// test/api.test.js — REST API routing/auth against an in-memory jobs adapter.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createJobsRouter, ApiError } from '../lib/api.js';
+
+const TOKEN = 'test-token';
+const CH = '123456789012345678';
+const USER = '223456789012345678';
+let server, base;
+const store = new Map();
+let nextId = 1;
+
+const jobs = {
+  list: ({ guild_id }) => [...store.values()].filter((j) => !guild_id || j.guild_id === guild_id),
+  get: (id) => store.get(id) || null,
+  start: ({ url, channel_id, requester_user_id }) => {
+    if (!url.includes('ubereats.com/orders/')) throw new ApiError(400, 'unsupported url');
+    const job = { id: nextId++, url, guild_id: 'g1', channel_id, requester_user_id, assignee_user_id: null, dm_user_id: null };
+    store.set(job.id, job);
+    return job;
+  },
+  stop: (id) => store.delete(id),
+  update: (id, patch) => (store.has(id) ? Object.assign(store.get(id), patch) : null),
+};
+
+before(async () => {
+  const app = express();
+  app.use('/jobs', createJobsRouter({ token: TOKEN, jobs }));
+  await new Promise((r) => { server = app.listen(0, '127.0.0.1', r); });
+  base = `http://127.0.0.1:${server.address().port}/jobs`;
+});
+after(() => new Promise((r) => server.close(r)));
+
+const call = async (method, path = '', body, token = TOKEN) => {
+  const res = await fetch(base + path, {
+    method,
+    headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}) },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+test('rejects missing or wrong tokens', async () => {
+  assert.equal((await call('GET', '', undefined, null)).status, 401);
+  assert.equal((await call('GET', '', undefined, 'nope')).status, 401);
+});
+
+test('job lifecycle: create, list, get, patch, delete', async () => {
+  const created = await call('POST', '', { url: 'https://www.ubereats.com/orders/abc', channel_id: CH, requester_user_id: USER });
+  assert.equal(created.status, 201);
+  const { id } = created.body.job;
+
+  assert.deepEqual((await call('GET')).body.jobs.map((j) => j.id), [id]);
+  assert.equal((await call('GET', `/${id}`)).body.job.requester_user_id, USER);
+
+  const patched = await call('PATCH', `/${id}`, { assignee_user_id: USER, dm_user_id: null });
+  assert.equal(patched.status, 200);
+  assert.equal(patched.body.job.assignee_user_id, USER);
+
+  assert.deepEqual((await call('DELETE', `/${id}`)).body, { ok: true });
+  assert.equal((await call('GET', `/${id}`)).status, 404);
+  assert.equal((await call('DELETE', `/${id}`)).status, 404);
+});
+
+test('validates input', async () => {
+  assert.equal((await call('POST', '', { channel_id: CH })).status, 400);
+  assert.equal((await call('POST', '', { url: 'https://www.ubereats.com/orders/x', channel_id: 'general' })).status, 400);
+  assert.deepEqual((await call('POST', '', { url: 'https://example.com', channel_id: CH })).body, { error: 'unsupported url' });
+  assert.equal((await call('PATCH', '/1', {})).status, 400);
+  assert.equal((await call('GET', '/abc')).status, 404);
+});
@@ -0,0 +1,97 @@
+// test/bridge.test.js — envelope signing, HTTP acks and the private-channel ack round trip.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import Database from 'better-sqlite3';
+import { createBridge, signBridge, parseChannelMessage, parseAck, ackText, formatChannelMessage } from '../lib/bridge.js';
+
+const SECRET = 'shared-secret';
+let server, url;
+const received = [];
+let ackMode = 'ack';
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      const { id } = JSON.parse(body);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(ackMode === 'ack' ? { ack: id } : {}));
+    });
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  url = `http://127.0.0.1:${server.address().port}/bridge`;
+});
+after(() => new Promise((r) => server.close(r)));
+
+test('channel messages and acks are signed; forgeries are rejected', () => {
+  const body = JSON.stringify({ v: 1, id: 'abc', type: 'delivered', at: 'x', data: { total: 12.5 } });
+  const text = formatChannelMessage(SECRET, body);
+  assert.ok(!text.includes(SECRET));
+  assert.deepEqual(parseChannelMessage(SECRET, text).data, { total: 12.5 });
+  assert.equal(parseChannelMessage('other', text), null);
+  assert.equal(parseAck(SECRET, ackText(SECRET, 'abc')), 'abc');
+  assert.equal(parseAck(SECRET, ackText('other', 'abc')), null);
+});
+
+test('HTTP transport: signed POST, acked ids are not resent', async () => {
+  received.length = 0;
+  ackMode = 'ack';
+  const bridge = createBridge({ db: new Database(':memory:'), secret: SECRET, transport: { url } });
+  const id = bridge.send('tracking_started', { job_id: 1 });
+  await bridge.processDue();
+
+  assert.equal(received.length, 1);
+  const { headers, body } = received[0];
+  assert.equal(headers['x-bridge-version'], '1');
+  assert.equal(headers['x-bridge-signature'], 'sha256=' + signBridge(SECRET, body));
+  assert.deepEqual(JSON.parse(body), { v: 1, id, type: 'tracking_started', at: JSON.parse(body).at, data: { job_id: 1 } });
+  assert.equal(bridge.stats().pending, 0);
+
+  await bridge.processDue(Date.now() + 3600_000);
+  assert.equal(received.length, 1);
+});
+
+test('HTTP transport: a 2xx without the ack is retried', async () => {
+  received.length = 0;
+  ackMode = 'silent';
+  const bridge = createBridge({ db: new Database(':memory:'), secret: SECRET, transport: { url } });
+  bridge.send('delivered', { job_id: 2 });
+  await bridge.processDue();
+  assert.equal(bridge.stats().pending, 1);
+
+  ackMode = 'ack';
+  await bridge.processDue(Date.now() + 3600_000);
+  assert.equal(received.length, 2);
+  assert.equal(bridge.stats().pending, 0);
+});
+
+test('channel transport: resent until a valid ack arrives', async () => {
+  const posted = [];
+  const stuck = [];
+  const bridge = createBridge({
+    db: new Database(':memory:'),
+    secret: SECRET,
+    transport: { postToChannel: async (text) => { posted.push(text); } },
+    alertAfter: 2,
+    onStuck: (s) => stuck.push(s),
+  });
+  const id = bridge.send('delivered', { job_id: 3 });
+
+  await bridge.processDue();
+  await bridge.processDue(); // waiting for the ack
+  assert.equal(posted.length, 1);
+  assert.equal(parseChannelMessage(SECRET, posted[0]).id, id);
+
+  await bridge.processDue(Date.now() + 3600_000);
+  assert.equal(posted.length, 2);
+  assert.equal(stuck.length, 1);
+
+  assert.equal(bridge.handleChannelMessage(ackText('forged', id)), false);
+  assert.equal(bridge.handleChannelMessage(ackText(SECRET, id)), true);
+  await bridge.processDue(Date.now() + 7200_000);
+  assert.equal(posted.length, 2);
+  assert.equal(bridge.stats().pending, 0);
+});
@@ -0,0 +1,32 @@
+// test/cadence.test.js — adaptive poll delays.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cadenceConfig, nextPollDelay } from '../lib/cadence.js';
+
+const cfg = cadenceConfig({ POLL_INTERVAL_MS: '60000' });
+const noJitter = () => 0.5;
+const now = Date.parse('2025-03-01T12:00:00Z');
+
+test('delay follows the phase', () => {
+  assert.equal(nextPollDelay({ phase: 'PREPARING', now, random: noJitter }, cfg), 120_000);
+  assert.equal(nextPollDelay({ phase: 'HEADING', now, random: noJitter }, cfg), 45_000);
+  assert.equal(nextPollDelay({ phase: 'ALMOST_HERE', now, random: noJitter }, cfg), 20_000);
+  assert.equal(nextPollDelay({ phase: null, now, random: noJitter }, cfg), 60_000);
+});
+
+test('a close ETA speeds polling up', () => {
+  assert.equal(nextPollDelay({ phase: 'PREPARING', etaAt: now + 10 * 60_000, now, random: noJitter }, cfg), 45_000);
+  assert.equal(nextPollDelay({ phase: 'HEADING', etaAt: now + 3 * 60_000, now, random: noJitter }, cfg), 20_000);
+  assert.equal(nextPollDelay({ phase: 'PREPARING', etaAt: now + 40 * 60_000, now, random: noJitter }, cfg), 120_000);
+});
+
+test('errors back off exponentially up to the cap', () => {
+  assert.equal(nextPollDelay({ phase: 'ALMOST_HERE', errorStreak: 1, now, random: noJitter }, cfg), 60_000);
+  assert.equal(nextPollDelay({ phase: 'ALMOST_HERE', errorStreak: 3, now, random: noJitter }, cfg), 240_000);
+  assert.equal(nextPollDelay({ phase: 'ALMOST_HERE', errorStreak: 9, now, random: noJitter }, cfg), 600_000);
+});
+
+test('jitter stays within ±15% and above the floor', () => {
+  assert.equal(nextPollDelay({ phase: 'HEADING', now, random: () => 0 }, cfg), 38_250);
+  assert.equal(nextPollDelay({ phase: 'HEADING', now, random: () => 1 }, cfg), 51_750);
+});
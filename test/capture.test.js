@@ -0,0 +1,60 @@
+// test/capture.test.js — capture mode file handling (temp dir, no browser).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { captureReasons, isEmptyScrape, saveCapture, latestCapture } from '../lib/capture.js';
+import { createRegistry } from '../lib/metrics.js';
+import { providerById, parseProviderPage } from '../lib/providers/index.js';
+
+test('captureReasons flags scrapes missing key fields', () => {
+  assert.deepEqual(captureReasons({ requiresLogin: true }), []);
+  assert.deepEqual(
+    captureReasons({ statusText: 'Preparing Jordan\'s order', statusLine: 'Preparing Jordan\'s order', store: 'Tony\'s', cart: ['1x Knots'] }),
+    [],
+  );
+  assert.deepEqual(
+    captureReasons({ statusText: 'Unknown status', statusLine: null, store: null, cart: [], delivered: false }),
+    ['unknown_status', 'no_phase', 'no_store', 'empty_cart'],
+  );
+});
+
+test('an empty page counts as parse_empty, a partial one does not', () => {
+  const uber = providerById('ubereats');
+  const errors = createRegistry().counter('scrape_errors_total', 'Failed or unusable scrapes by type');
+  const count = (html) => {
+    const data = parseProviderPage(uber, html, { url: 'https://www.ubereats.com/orders/x' });
+    if (isEmptyScrape(data)) errors.inc({ type: 'parse_empty' });
+  };
+
+  count('<html><body><div id="root"></div></body></html>');
+  assert.equal(errors.get({ type: 'parse_empty' }), 1);
+  count('<html><body><div data-testid="active-order-sticky-eta"><div>Preparing your order</div></div></body></html>');
+  assert.equal(errors.get({ type: 'parse_empty' }), 1);
+  assert.equal(isEmptyScrape({ requiresLogin: true }), false);
+});
+
+test('saveCapture keys files by job + timestamp and enforces retention', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'capture-'));
+  try {
+    const base = Date.parse('2025-01-01T12:00:00.000Z');
+    for (let n = 0; n < 4; n++) {
+      await saveCapture(dir, {
+        jobId: n % 2 ? 7 : 8, url: 'https://www.ubereats.com/orders/x', html: `<p>${n}</p>`,
+        screenshot: n === 3 ? Buffer.from('png') : null, keep: 3, at: new Date(base + n * 1000),
+      });
+    }
+    const files = (await fs.readdir(dir)).sort();
+    assert.equal(files.filter((f) => f.endsWith('.html')).length, 3);
+    assert.ok(!files.includes('job-8-2025-01-01T12-00-00-000Z.html'), 'oldest capture pruned');
+
+    const last = await latestCapture(dir, 7);
+    assert.equal(last.stem, 'job-7-2025-01-01T12-00-03-000Z');
+    assert.deepEqual(last.files.map((f) => path.extname(f)), ['.html', '.json', '.png']);
+    assert.equal(await fs.readFile(last.files[0], 'utf8'), '<p>3</p>');
+    assert.equal(await latestCapture(dir, 99), null);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,64 @@
+// test/cart.test.js — structured cart lines and the embed/pagination text built from them.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  cartItem, cartLineText, isPriceText, formatCartItem, cartPreview, cartPages, chargesLine,
+} from '../lib/cart.js';
+
+test('cartItem normalizes quantity, modifiers and price', () => {
+  assert.deepEqual(cartItem({ name: '2x Large Pepperoni Pizza', modifiers: 'Extra cheese, Thin crust', price: '$22.00' }),
+    { qty: 2, name: 'Large Pepperoni Pizza', modifiers: ['Extra cheese', 'Thin crust'], price: 22 });
+  assert.deepEqual(cartItem({ qty: '3×', name: 'Garlic Knots', modifiers: ['  Ranch '], price: 7.5 }),
+    { qty: 3, name: 'Garlic Knots', modifiers: ['Ranch'], price: 7.5 });
+  assert.deepEqual(cartItem({ name: 'Currywurst', price: '8,90 €' }), { qty: 1, name: 'Currywurst', modifiers: [], price: 8.9 });
+  assert.equal(cartItem({ name: '2x Soda', price: '$3.00' }, { country: 'CA' }).price, 3);
+  assert.equal(cartItem({ name: '  ' }), null);
+});
+
+test('cartLineText keeps the legacy cart string format', () => {
+  assert.equal(cartLineText({ qty: 2, name: 'Pizza', modifiers: ['Extra cheese', 'Thin crust'] }), '2x Pizza — Extra cheese, Thin crust');
+  assert.equal(cartLineText({ qty: 1, name: 'Garlic Knots', modifiers: [] }), '1x Garlic Knots');
+});
+
+test('isPriceText only accepts bare amounts', () => {
+  for (const t of ['$22.00', '12,50 €', 'CHF 9.90', '£8.50']) assert.ok(isPriceText(t), t);
+  for (const t of ['Extra cheese', '2x Pizza', 'Total $31.47', '', null]) assert.ok(!isPriceText(t), String(t));
+});
+
+test('formatCartItem renders quantity, price and modifiers', () => {
+  const item = { qty: 2, name: 'Large Pepperoni Pizza', modifiers: ['Extra cheese'], price: 22 };
+  assert.equal(formatCartItem(item, 'USD'), '**2×** Large Pepperoni Pizza · $22.00\n└ Extra cheese');
+  assert.equal(formatCartItem({ ...item, modifiers: [] }, null), '**2×** Large Pepperoni Pizza');
+});
+
+test('cartPreview fits the field limit and counts what it left out', () => {
+  const items = Array.from({ length: 40 }, (_, i) => ({ qty: 1, name: `Item number ${i + 1} with a long name`, modifiers: ['No onions'], price: 9.99 }));
+  const { text, hidden } = cartPreview(items, 'USD');
+  assert.ok(text.length <= 1024, String(text.length));
+  assert.ok(hidden > 0);
+  assert.match(text, new RegExp(`…and ${hidden} more$`));
+
+  const short = cartPreview(items.slice(0, 2), 'USD');
+  assert.equal(short.hidden, 0);
+  assert.equal(short.text.split('\n').length, 4);
+});
+
+test('cartPages splits items into pages', () => {
+  const items = Array.from({ length: 23 }, (_, i) => ({ qty: 1, name: `#${i}`, modifiers: [], price: null }));
+  assert.deepEqual(cartPages(items).map((p) => p.length), [10, 10, 3]);
+  assert.deepEqual(cartPages([]), [[]]);
+
+  // long names + modifiers: pages are cut by length so the panel stays under Discord's 4096 limit
+  const long = Array.from({ length: 20 }, () => ({ qty: 1, name: 'N'.repeat(300), modifiers: ['M'.repeat(300)], price: 9.99 }));
+  const pages = cartPages(long, 'USD', { perPage: 20 });
+  assert.ok(pages.length > 1);
+  assert.equal(pages.flat().length, 20);
+  for (const page of pages) assert.ok(page.map((it) => formatCartItem(it, 'USD')).join('\n').length <= 3800);
+});
+
+test('chargesLine lists the charges the page showed', () => {
+  assert.equal(chargesLine({ subtotal: 27.5, fees: 2.47, tip: 1.5, currency: 'USD' }), 'Subtotal $27.50 · Fees $2.47 · Tip $1.50');
+  assert.equal(chargesLine({ subtotal: 19.8, currency: 'EUR' }), 'Subtotal €19.80');
+  assert.equal(chargesLine({ subtotal: 10, currency: null }), null);
+  assert.equal(chargesLine({ currency: 'USD' }), null);
+});
@@ -0,0 +1,44 @@
+// test/eta.test.js — free-text ETA parsing.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEta, trackEta, minutesBetween } from '../lib/eta.js';
+
+const iso = (t) => new Date(t).toISOString();
+
+test('parseEta reads clock times in the given time zone', () => {
+  const now = Date.parse('2025-03-01T01:10:00Z'); // 8:10 PM in New York (EST)
+  assert.equal(iso(parseEta('Estimated arrival 8:42 PM', { now, timeZone: 'America/New_York' })), '2025-03-01T01:42:00.000Z');
+  assert.equal(iso(parseEta('Arriving by 20:42', { now, timeZone: 'America/New_York' })), '2025-03-01T01:42:00.000Z');
+  assert.equal(iso(parseEta('Estimated arrival 8:42 PM', { now, timeZone: 'Europe/London' })), '2025-02-28T20:42:00.000Z');
+});
+
+test('parseEta picks the nearest day across midnight', () => {
+  const now = Date.parse('2025-03-01T04:50:00Z'); // 11:50 PM in New York
+  assert.equal(iso(parseEta('Estimated arrival 12:15 AM', { now, timeZone: 'America/New_York' })), '2025-03-01T05:15:00.000Z');
+});
+
+test('parseEta handles relative minutes and junk', () => {
+  const now = Date.parse('2025-03-01T12:00:00Z');
+  assert.equal(iso(parseEta('Estimated arrival in 12–17 min', { now })), '2025-03-01T12:17:00.000Z');
+  assert.equal(iso(parseEta('8 mins away', { now })), '2025-03-01T12:08:00.000Z');
+  assert.equal(parseEta('Estimated arrival soon', { now }), null);
+  assert.equal(parseEta(null, { now }), null);
+});
+
+test('trackEta keeps the first ETA and records drift', () => {
+  const t = (hhmm) => Date.parse(`2025-03-01T${hhmm}:00Z`);
+  let s = trackEta({}, t('12:30'), t('12:00'));
+  assert.equal(s.changed, true);
+  assert.equal(s.firstAt, '2025-03-01T12:30:00.000Z');
+
+  const same = trackEta(s, t('12:30') + 20_000, t('12:01'));
+  assert.equal(same.changed, false);
+
+  s = trackEta(s, t('12:42'), t('12:10'));
+  assert.equal(s.firstAt, '2025-03-01T12:30:00.000Z');
+  assert.equal(s.etaAt, '2025-03-01T12:42:00.000Z');
+  assert.deepEqual(s.history.map((h) => h.eta), ['2025-03-01T12:30:00.000Z', '2025-03-01T12:42:00.000Z']);
+  assert.equal(minutesBetween(s.firstAt, s.etaAt), 12);
+
+  assert.equal(trackEta(s, null).changed, false);
+});
@@ -0,0 +1,54 @@
+// test/events.test.js — event bus + SSE filtering over a real HTTP connection.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import express from 'express';
+import { createEventBus, createEventStreamHandler } from '../lib/events.js';
+
+test('bus assigns ids and replays since an id', () => {
+  const bus = createEventBus({ replay: 2 });
+  bus.publish('job_started', { job_id: 1 });
+  bus.publish('phase_changed', { job_id: 1, phase: 'HEADING' });
+  const last = bus.publish('delivered', { job_id: 1 });
+  assert.equal(last.id, 3);
+  assert.deepEqual(bus.since(1).map((e) => e.type), ['phase_changed', 'delivered']);
+  assert.deepEqual(bus.since(0).map((e) => e.id), [2, 3], 'ring buffer keeps only `replay` events');
+  assert.deepEqual(last.data, {});
+});
+
+test('SSE stream filters by guild and job', async () => {
+  const bus = createEventBus();
+  const app = express();
+  app.get('/events', createEventStreamHandler(bus));
+  const server = await new Promise((r) => { const s = app.listen(0, '127.0.0.1', () => r(s)); });
+
+  const received = [];
+  const done = new Promise((resolve, reject) => {
+    const req = http.get(`http://127.0.0.1:${server.address().port}/events?guild_id=g1&job_id=7`, (res) => {
+      assert.equal(res.headers['content-type'], 'text/event-stream');
+      let buf = '';
+      res.on('data', (chunk) => {
+        buf += chunk;
+        if (buf.includes(': connected')) {
+          bus.publish('phase_changed', { job_id: 7, guild_id: 'g2', phase: 'HEADING' });
+          bus.publish('phase_changed', { job_id: 8, guild_id: 'g1', phase: 'HEADING' });
+          bus.publish('delivered', { job_id: 7, guild_id: 'g1' });
+          buf = buf.replace(': connected', '');
+        }
+        for (const block of buf.split('\n\n').slice(0, -1)) {
+          const data = block.split('\n').find((l) => l.startsWith('data: '));
+          if (data) received.push(JSON.parse(data.slice(6)));
+        }
+        buf = buf.slice(buf.lastIndexOf('\n\n') + 2);
+        if (received.length) { req.destroy(); resolve(); }
+      });
+    });
+    req.on('error', (e) => (e.code === 'ECONNRESET' ? resolve() : reject(e)));
+  });
+  await done;
+  await new Promise((r) => server.close(r));
+
+  assert.equal(received.length, 1);
+  assert.equal(received[0].type, 'delivered');
+  assert.equal(received[0].job_id, 7);
+});
@@ -0,0 +1,59 @@
+// test/guildSettings.test.js — env defaults, per-guild overrides and /config value parsing.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settingsDefaults, mergeSettings, parseSettingValue, formatSettingValue } from '../lib/guildSettings.js';
+import { parseEta } from '../lib/eta.js';
+
+test('env vars provide defaults and guild rows override non-null columns', () => {
+  const defaults = settingsDefaults({ THANK_BRAND: 'Acme', THEME: 'Classic', DISCORD_LOG_CHANNEL_ID: '111111111111111111' });
+  assert.equal(defaults.brand, 'Acme');
+  assert.equal(defaults.theme, 'classic');
+  assert.equal(defaults.store_emoji, '🏬');
+  assert.equal(defaults.timezone, null);
+  assert.equal(defaults.vouch_channel_id, null);
+  assert.equal(defaults.notify_role_id, null);
+  assert.equal(settingsDefaults({ VOUCH_CHANNEL_ID: '333333333333333333' }).vouch_channel_id, '333333333333333333');
+
+  const merged = mergeSettings(defaults, { guild_id: 'g', brand: 'Other', theme: null, ops_channel_id: '222222222222222222' });
+  assert.equal(merged.brand, 'Other');
+  assert.equal(merged.theme, 'classic');
+  assert.equal(merged.ops_channel_id, '222222222222222222');
+  assert.deepEqual(mergeSettings(defaults, undefined), defaults);
+});
+
+test('clock ETAs are read in the guild timezone, falling back to TIMEZONE', () => {
+  const defaults = settingsDefaults({ TIMEZONE: 'America/New_York' });
+  const now = Date.parse('2025-03-01T00:30:00Z');
+  const eta = (row) => new Date(parseEta('Estimated arrival 8:42 PM', { now, timeZone: mergeSettings(defaults, row).timezone })).toISOString();
+  assert.equal(eta(undefined), '2025-03-01T01:42:00.000Z');
+  assert.equal(eta({ guild_id: 'g', timezone: 'Europe/London' }), '2025-02-28T20:42:00.000Z');
+});
+
+test('parses mentions, IDs, choices and timezones', () => {
+  assert.equal(parseSettingValue('vouch_channel_id', '<#1405983244096372839>'), '1405983244096372839');
+  assert.equal(parseSettingValue('notify_role_id', '<@&1405978891666849812>'), '1405978891666849812');
+  assert.equal(parseSettingValue('ops_channel_id', '1405983244096372839'), '1405983244096372839');
+  assert.equal(parseSettingValue('theme', 'MODERN'), 'modern');
+  assert.equal(parseSettingValue('timezone', 'Europe/London'), 'Europe/London');
+  assert.equal(parseSettingValue('brand', '  Acme Eats '), 'Acme Eats');
+
+  assert.throws(() => parseSettingValue('vouch_channel_id', '<@&1405978891666849812>'), /channel mention or ID/);
+  assert.throws(() => parseSettingValue('theme', 'dark'), /classic, modern/);
+  assert.throws(() => parseSettingValue('timezone', 'Mars/Base'), /Unknown timezone/);
+  assert.throws(() => parseSettingValue('brand', 'x'.repeat(65)), /at most 64/);
+  assert.throws(() => parseSettingValue('nope', 'x'), /Unknown setting/);
+
+  assert.equal(parseSettingValue('tracker_role_ids', '<@&1405978891666849812>, 1405978891666849813 <@&1405978891666849812>'),
+    '1405978891666849812,1405978891666849813');
+  assert.throws(() => parseSettingValue('tracker_role_ids', '<@&1405978891666849812> staff'), /role mentions or IDs/);
+  assert.equal(parseSettingValue('self_track', 'Yes'), 'on');
+  assert.equal(parseSettingValue('self_track', 'off'), 'off');
+  assert.throws(() => parseSettingValue('self_track', 'maybe'), /on or off/);
+});
+
+test('formats values for /config view', () => {
+  assert.equal(formatSettingValue('vouch_channel_id', '123'), '<#123>');
+  assert.equal(formatSettingValue('notify_role_id', '123'), '<@&123>');
+  assert.equal(formatSettingValue('brand', null), '—');
+  assert.equal(formatSettingValue('tracker_role_ids', '1,2'), '<@&1> <@&2>');
+});
@@ -0,0 +1,99 @@
+// test/httpScrape.test.js — HTTP fast path against a local stub serving fixture pages (no browser).
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { providerById } from '../lib/providers/index.js';
+import { scrapeOverHttp, embeddedState, orderPayloads, isCompleteScrape, nextScrapePath } from '../lib/httpScrape.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'ubereats');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const apiHeading = JSON.parse(fixture('api/heading.json'));
+
+// Uber's login host can't be stubbed locally, so the stub's /login stands in for it.
+const provider = { ...providerById('ubereats'), isLoginRedirect: (url) => /\/login\b/.test(url) };
+
+const stateShell = `<!DOCTYPE html><html><body><div id="root"></div>
+<script id="__REACT_QUERY_STATE__" type="application/json">${encodeURIComponent(JSON.stringify({
+  queries: [{ queryKey: ['getActiveOrdersV1'], state: { data: apiHeading.responses.at(-1) } }],
+}))}</script></body></html>`;
+
+const routes = {
+  '/orders/heading': (res) => res.writeHead(200, { 'content-type': 'text/html' }).end(fixture('heading.html')),
+  '/orders/6f1c2a9e-0000-4000-8000-000000000000': (res) => res.writeHead(200, { 'content-type': 'text/html' }).end(stateShell),
+  // status + phase, but none of the store / cart / address the embed needs
+  '/orders/partial': (res) => res.writeHead(200, { 'content-type': 'text/html' })
+    .end('<html><body><div data-testid="active-order-sticky-eta"><div>Preparing your order</div></div></body></html>'),
+  '/orders/shell': (res) => res.writeHead(200, { 'content-type': 'text/html' }).end('<html><body><div id="root"></div></body></html>'),
+  '/orders/private': (res) => res.writeHead(302, { location: '/login?next=x' }).end(),
+  '/login': (res) => res.writeHead(200, { 'content-type': 'text/html' }).end(fixture('login-redirect.html')),
+  '/orders/broken': (res) => res.writeHead(500).end('oops'),
+  '/orders/slow': () => {}, // never answers
+};
+let server, base;
+before(async () => {
+  server = http.createServer((req, res) => (routes[req.url.split('?')[0]] || ((r) => r.writeHead(404).end()))(res));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => { server.closeAllConnections?.(); server.close(); });
+
+test('server-rendered page parses through the HTML parser', async () => {
+  const { data, complete, html } = await scrapeOverHttp(`${base}/orders/heading`, provider);
+  assert.equal(complete, true);
+  assert.deepEqual(data, JSON.parse(fixture('heading.json')).expected);
+  assert.equal(html, fixture('heading.html'));
+});
+
+test('embedded order state is preferred over markup', async () => {
+  const { data, complete } = await scrapeOverHttp(`${base}/orders/6f1c2a9e-0000-4000-8000-000000000000`, provider);
+  assert.equal(complete, true);
+  assert.deepEqual(data, apiHeading.expected);
+});
+
+test('client-rendered shells, errors and login walls', async () => {
+  const shell = await scrapeOverHttp(`${base}/orders/shell`, provider);
+  assert.equal(shell.complete, false);
+  assert.equal(shell.data.source, 'html');
+
+  const partial = await scrapeOverHttp(`${base}/orders/partial`, provider);
+  assert.equal(partial.data.statusLine, 'Preparing your order');
+  assert.equal(partial.complete, false); // would otherwise pin the job to a degraded embed
+
+  const broken = await scrapeOverHttp(`${base}/orders/broken`, provider);
+  assert.deepEqual(broken, { data: null, complete: false, status: 500 });
+
+  const login = await scrapeOverHttp(`${base}/orders/private`, provider);
+  assert.deepEqual(login.data, { requiresLogin: true });
+  assert.equal(login.complete, false); // the browser confirms login walls
+
+  await assert.rejects(scrapeOverHttp(`${base}/orders/slow`, provider, { timeoutMs: 200 }));
+});
+
+test('embeddedState reads JSON scripts and window assignments', () => {
+  const html = `<script type="application/json">{"a":1}</script>
+<script>window.__PRELOADED_STATE__ = {"b":{"orders":[{"uuid":"x"}]}};</script>
+<script type="application/json">not json</script>`;
+  const blobs = embeddedState(html);
+  assert.deepEqual(blobs, [{ a: 1 }, { b: { orders: [{ uuid: 'x' }] } }]);
+  assert.deepEqual(orderPayloads(blobs[1]), [{ orders: [{ uuid: 'x' }] }]);
+  assert.deepEqual(orderPayloads(blobs[0]), []);
+});
+
+test('isCompleteScrape and nextScrapePath', () => {
+  const phaseOf = (d) => (d.statusLine === 'Preparing' ? 'PREPARING' : null);
+  assert.equal(isCompleteScrape({ statusLine: 'Preparing', store: "Tony's", cart: ['1x Knots'] }, phaseOf), true);
+  assert.equal(isCompleteScrape({ statusLine: 'Preparing', store: "Tony's", cart: [], address: '1 Main St' }, phaseOf), true);
+  assert.equal(isCompleteScrape({ statusLine: 'Preparing', store: "Tony's", cart: [] }, phaseOf), false);
+  assert.equal(isCompleteScrape({ statusLine: 'Preparing', cart: ['1x Knots'] }, phaseOf), false);
+  assert.equal(isCompleteScrape({ statusLine: '???', store: "Tony's", cart: ['1x Knots'] }, phaseOf), false);
+  assert.equal(isCompleteScrape({ requiresLogin: true }, phaseOf), false);
+  assert.equal(isCompleteScrape(null, phaseOf), false);
+
+  assert.equal(nextScrapePath(null, 'ok'), 'http');
+  assert.equal(nextScrapePath('http', 'incomplete'), 'browser');
+  assert.equal(nextScrapePath(null, 'error'), null);
+  assert.equal(nextScrapePath('http', 'error'), 'http');
+});
@@ -0,0 +1,45 @@
+// test/mapSnapshot.test.js — when to shoot, selector fallback and the byte budget (fake page).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapConfig, shouldSnapshot, snapshotMap, imageHash } from '../lib/mapSnapshot.js';
+
+const cfg = mapConfig({ MAP_SNAPSHOTS: '1', MAP_MAX_KB: '1', MAP_REFRESH_MIN: '5' });
+
+test('shoots on entering courier phases, then only on refresh', () => {
+  const now = Date.parse('2026-05-01T12:10:00Z');
+  assert.equal(shouldSnapshot('HEADING', { phase: 'PREPARING', at: null }, cfg, now), true);
+  assert.equal(shouldSnapshot('PREPARING', { phase: null, at: null }, cfg, now), false);
+  assert.equal(shouldSnapshot('HEADING', { phase: 'HEADING', at: '2026-05-01T12:08:00Z' }, cfg, now), false);
+  assert.equal(shouldSnapshot('HEADING', { phase: 'HEADING', at: '2026-05-01T12:04:00Z' }, cfg, now), true);
+  assert.equal(shouldSnapshot('ALMOST_HERE', { phase: 'HEADING', at: '2026-05-01T12:09:00Z' }, cfg, now), true);
+  assert.equal(shouldSnapshot('HEADING', { phase: null, at: null }, mapConfig({}), now), false);
+});
+
+function fakePage(elements) {
+  return {
+    async $(sel) {
+      const e = elements[sel];
+      if (!e) return null;
+      return {
+        boundingBox: async () => e.box,
+        screenshot: async ({ quality }) => Buffer.alloc(e.bytesAt(quality), quality),
+      };
+    },
+  };
+}
+
+test('picks the first visible map and steps quality down to fit the budget', async () => {
+  const page = fakePage({
+    '[data-testid="map"]': { box: { width: 10, height: 10 }, bytesAt: () => 10 }, // hidden placeholder
+    '.gm-style': { box: { width: 600, height: 400 }, bytesAt: (q) => q * 20 },   // 1600, 1300, 1000, 700 bytes
+  });
+  const shot = await snapshotMap(page, cfg);
+  assert.equal(shot.quality, 50);
+  assert.equal(shot.buf.length, 1000);
+  assert.equal(shot.hash, imageHash(shot.buf));
+});
+
+test('returns null without a map or when nothing fits', async () => {
+  assert.equal(await snapshotMap(fakePage({}), cfg), null);
+  assert.equal(await snapshotMap(fakePage({ '.gm-style': { box: { width: 600, height: 400 }, bytesAt: () => 5000 } }), cfg), null);
+});
@@ -0,0 +1,44 @@
+// test/metrics.test.js — Prometheus text output, error taxonomy and the /health verdict.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRegistry, classifyScrapeError, healthVerdict } from '../lib/metrics.js';
+
+test('renders counters, gauges and histograms in Prometheus text format', () => {
+  const reg = createRegistry({ prefix: 'tracker_' });
+  const errors = reg.counter('scrape_errors_total', 'Failed scrapes by type');
+  reg.gauge('active_jobs', 'Trackers currently scheduled', () => 3);
+  const dur = reg.histogram('scrape_duration_seconds', 'Scrape wall time', { buckets: [1, 5] });
+
+  errors.inc({ type: 'timeout' });
+  errors.inc({ type: 'timeout' });
+  errors.inc({ type: 'say "hi"' });
+  dur.observe(0.4, { outcome: 'ok' });
+  dur.observe(3, { outcome: 'ok' });
+
+  const text = reg.render();
+  assert.match(text, /# TYPE tracker_scrape_errors_total counter/);
+  assert.match(text, /^tracker_scrape_errors_total\{type="timeout"\} 2$/m);
+  assert.match(text, /^tracker_scrape_errors_total\{type="say \\"hi\\""\} 1$/m);
+  assert.match(text, /^tracker_active_jobs 3$/m);
+  assert.match(text, /^tracker_scrape_duration_seconds_bucket\{outcome="ok",le="1"\} 1$/m);
+  assert.match(text, /^tracker_scrape_duration_seconds_bucket\{outcome="ok",le="5"\} 2$/m);
+  assert.match(text, /^tracker_scrape_duration_seconds_bucket\{outcome="ok",le="\+Inf"\} 2$/m);
+  assert.match(text, /^tracker_scrape_duration_seconds_count\{outcome="ok"\} 2$/m);
+  assert.equal(errors.get({ type: 'timeout' }), 2);
+});
+
+test('classifies scrape errors', () => {
+  assert.equal(classifyScrapeError('Navigating frame was detached Frame'), 'detached_frame');
+  assert.equal(classifyScrapeError('Navigation timeout of 45000 ms exceeded'), 'timeout');
+  assert.equal(classifyScrapeError('Protocol error (Page.navigate): Target closed.'), 'browser');
+  assert.equal(classifyScrapeError('net::ERR_NAME_NOT_RESOLVED'), 'network');
+  assert.equal(classifyScrapeError('boom'), 'other');
+});
+
+test('health is degraded when the browser is down or most recent scrapes failed', () => {
+  assert.deepEqual(healthVerdict({ browserDown: false, recent: [true, false, true] }), { ok: true, status: 'ok', reasons: [] });
+  assert.equal(healthVerdict({ browserDown: true, recent: [] }).status, 'degraded');
+  const v = healthVerdict({ browserDown: false, recent: [false, false, false, true, false] });
+  assert.equal(v.ok, false);
+  assert.deepEqual(v.reasons, ['scrapes_failing (4/5)']);
+});
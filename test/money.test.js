@@ -0,0 +1,59 @@
+// test/money.test.js — receipt totals and currencies.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAmount, parseMoney, findTotal, findCharges, formatMoney } from '../lib/money.js';
+
+test('parseAmount handles both decimal conventions', () => {
+  assert.equal(parseAmount('24.56'), 24.56);
+  assert.equal(parseAmount('23,50'), 23.5);
+  assert.equal(parseAmount('1,234.50'), 1234.5);
+  assert.equal(parseAmount('1.234,50'), 1234.5);
+  assert.equal(parseAmount('1 234,50'), 1234.5);
+  assert.equal(parseAmount('1,234'), 1234);
+  assert.equal(parseAmount('abc'), null);
+});
+
+test('parseMoney maps symbols and codes to ISO currencies', () => {
+  const cases = [
+    ['$24.56', null, 24.56, 'USD'],
+    ['$31.20', 'CA', 31.2, 'CAD'],
+    ['$55.30', 'AU', 55.3, 'AUD'],
+    ['CA$44.18', null, 44.18, 'CAD'],
+    ['A$55.30', null, 55.3, 'AUD'],
+    ['£25.89', null, 25.89, 'GBP'],
+    ['23,50 €', null, 23.5, 'EUR'],
+    ['€ 1.234,50', null, 1234.5, 'EUR'],
+    ['CHF 19.90', null, 19.9, 'CHF'],
+    ['12.00 EUR', null, 12, 'EUR'],
+    ['-$5.00', null, -5, 'USD'],
+  ];
+  for (const [text, country, amount, currency] of cases) {
+    assert.deepEqual(parseMoney(text, { country }), { amount, currency }, text);
+  }
+  for (const text of ['2x Pizza', 'Total', '', null]) assert.equal(parseMoney(text), null, String(text));
+});
+
+test('findTotal takes the total line, never the subtotal', () => {
+  assert.deepEqual(findTotal(['Subtotal', '$27.50', 'Total', '$31.47']), { total: 31.47, currency: 'USD' });
+  assert.deepEqual(findTotal(['Total: $29.85']), { total: 29.85, currency: 'USD' });
+  assert.deepEqual(findTotal(['Zwischensumme', '19,80 €', 'Gesamt', '23,50 €']), { total: 23.5, currency: 'EUR' });
+  assert.deepEqual(findTotal(['Total TTC', '28,40 €']), { total: 28.4, currency: 'EUR' });
+  assert.deepEqual(findTotal(['Total', '$40.00'], { country: 'CA' }), { total: 40, currency: 'CAD' });
+  assert.deepEqual(findTotal(['Total items: 3', 'Order total', '£12.00']), { total: 12, currency: 'GBP' });
+  assert.deepEqual(findTotal(['Subtotal $10.00']), { total: null, currency: null });
+});
+
+test('findCharges sums fees and keeps subtotal and tip apart', () => {
+  const receipt = ['Subtotal', '$27.50', 'Delivery Fee', '$1.99', 'Service Fee $2.48', 'Estimated Tax', '$0.15', 'Dasher Tip', '$1.00', 'Total', '$33.12'];
+  assert.deepEqual(findCharges(receipt), { subtotal: 27.5, fees: 4.62, tip: 1 });
+  assert.deepEqual(findCharges(['Zwischensumme', '19,80 €', 'Liefergebühr', 'Gratis', 'Trinkgeld', '2,00 €']), { subtotal: 19.8, fees: null, tip: 2 });
+  assert.deepEqual(findCharges(['Tipping is optional', 'Total', '$10.00']), { subtotal: null, fees: null, tip: null });
+});
+
+test('formatMoney renders amounts for the embed', () => {
+  assert.equal(formatMoney(31.47, 'USD'), '$31.47');
+  assert.equal(formatMoney(44.18, 'CAD'), 'CA$44.18');
+  assert.equal(formatMoney(23.5, 'EUR'), '€23.50');
+  assert.equal(formatMoney(null, 'USD'), null);
+  assert.equal(formatMoney(5, null), null);
+});
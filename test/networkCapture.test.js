@@ -0,0 +1,48 @@
+// test/networkCapture.test.js — JSON response collector against a fake page (no browser).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { attachJsonCollector } from '../lib/networkCapture.js';
+
+function fakeResponse(url, body, { type = 'application/json', ok = true, method = 'POST' } = {}) {
+  return {
+    url: () => url,
+    ok: () => ok,
+    headers: () => ({ 'content-type': type }),
+    request: () => ({ method: () => method }),
+    json: async () => (body instanceof Error ? Promise.reject(body) : body),
+  };
+}
+
+test('attachJsonCollector keeps matching JSON responses newer than a timestamp', async () => {
+  const page = new EventEmitter();
+  let clock = 1000;
+  const c = attachJsonCollector(page, { match: /\/_p\/api\/getActiveOrdersV1/, keep: 2, now: () => clock });
+
+  page.emit('response', fakeResponse('https://www.ubereats.com/_p/api/getActiveOrdersV1', { n: 1 }));
+  clock = 2000;
+  page.emit('response', fakeResponse('https://www.ubereats.com/_p/api/getActiveOrdersV1', { n: 2 }));
+  page.emit('response', fakeResponse('https://www.ubereats.com/_p/api/getStoreV1', { n: 'other' }));
+  page.emit('response', fakeResponse('https://www.ubereats.com/_p/api/getActiveOrdersV1', '<html>', { type: 'text/html' }));
+  page.emit('response', fakeResponse('https://www.ubereats.com/_p/api/getActiveOrdersV1', { n: 'err' }, { ok: false }));
+  page.emit('response', fakeResponse('https://www.ubereats.com/_p/api/getActiveOrdersV1', null, { method: 'OPTIONS' }));
+  page.emit('response', fakeResponse('https://www.ubereats.com/_p/api/getActiveOrdersV1', new Error('gone')));
+
+  assert.deepEqual((await c.since(0)).map((e) => e.body.n), [1, 2]);
+  assert.deepEqual((await c.since(2000)).map((e) => e.body.n), [2]);
+
+  clock = 3000;
+  page.emit('response', fakeResponse('https://www.ubereats.com/_p/api/getActiveOrdersV1', { n: 3 }));
+  assert.deepEqual((await c.since(0)).map((e) => e.body.n), [2, 3]); // keep = 2
+
+  c.clear();
+  assert.equal(c.size, 0);
+});
+
+test('detach stops collecting', async () => {
+  const page = new EventEmitter();
+  const c = attachJsonCollector(page, { match: /api/ });
+  c.detach();
+  page.emit('response', fakeResponse('https://x.test/api', { n: 1 }));
+  assert.deepEqual(await c.since(0), []);
+});
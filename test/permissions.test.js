@@ -0,0 +1,41 @@
+// test/permissions.test.js — tracker roles, customer self-track and DM claim rules.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isTrackerStaff, canStartTracker, canControlTracker, canClaimDm } from '../lib/permissions.js';
+
+const open = { tracker_role_ids: null, self_track: 'off', dm_claim: 'anyone' };
+const locked = { tracker_role_ids: '100,200', self_track: 'off', dm_claim: 'requester_assignee' };
+const customer = { userId: 'c', roleIds: [], isAdmin: false, ownsChannel: true };
+const staff = { userId: 's', roleIds: ['200'], isAdmin: false, ownsChannel: false };
+const admin = { userId: 'a', roleIds: [], isAdmin: true, ownsChannel: false };
+const job = { requester_user_id: 'r', assignee_user_id: 's2' };
+
+test('no tracker roles configured means everyone is staff', () => {
+  assert.equal(isTrackerStaff(customer, open), true);
+  assert.equal(isTrackerStaff(customer, locked), false);
+  assert.equal(isTrackerStaff(staff, locked), true);
+  assert.equal(isTrackerStaff(admin, locked), true);
+});
+
+test('starting trackers: roles, then self-track in own ticket', () => {
+  assert.deepEqual(canStartTracker(staff, locked), { ok: true });
+  const denied = canStartTracker(customer, locked);
+  assert.equal(denied.ok, false);
+  assert.match(denied.reason, /<@&100> <@&200> can start trackers in this server/);
+  assert.equal(canStartTracker(customer, { ...locked, self_track: 'on' }).ok, true);
+  assert.equal(canStartTracker({ ...customer, ownsChannel: false }, { ...locked, self_track: 'on' }).ok, false);
+});
+
+test('tracker controls: staff or the job’s requester/assignee', () => {
+  assert.equal(canControlTracker(customer, job, locked).ok, false);
+  assert.equal(canControlTracker({ ...customer, userId: 'r' }, job, locked).ok, true);
+  assert.equal(canControlTracker(staff, job, locked).ok, true);
+});
+
+test('DM subscriptions: open by default, optionally requester/assignee (or staff) only', () => {
+  assert.equal(canClaimDm(customer, job, open).ok, true);
+  assert.match(canClaimDm(customer, job, locked).reason, /requester or the assignee/);
+  assert.equal(canClaimDm({ ...customer, userId: 'r' }, job, locked).ok, true);
+  assert.equal(canClaimDm(staff, job, locked).ok, true);
+  assert.equal(canClaimDm(admin, job, locked).ok, true);
+});
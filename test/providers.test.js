@@ -0,0 +1,74 @@
+// test/providers.test.js — provider registry: link matching, normalization, status wording.
+// Page parsing for each provider is covered by the fixture suite in test/scraper.test.js.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROVIDERS, ORDER_FIELDS, providerFor, providerById, normalizeOrder, providerNames } from '../lib/providers/index.js';
+
+test('providerFor picks the provider that owns a link', () => {
+  const cases = {
+    'https://www.ubereats.com/orders/6f1c2a9e-0000-4000-8000-000000000000': 'ubereats',
+    'https://ubereats.com/orders/abc': 'ubereats',
+    'https://track.doordash.com/share/3c9d7f10/track': 'doordash',
+    'https://www.doordash.com/orders/drive?urlCode=abc': 'doordash',
+    'https://www.doordash.com/drive/portal/track/abc': 'doordash',
+    'https://www.grubhub.com/order/track/7d2e5b40': 'grubhub',
+    'https://www.seamless.com/order/track/7d2e5b40': 'grubhub',
+  };
+  for (const [url, id] of Object.entries(cases)) assert.equal(providerFor(url)?.id, id, url);
+  for (const url of ['https://www.ubereats.com/store/tonys', 'https://www.doordash.com/store/tonys', 'https://example.com/orders/1', '']) {
+    assert.equal(providerFor(url), null, url);
+  }
+});
+
+test('every provider implements the interface', () => {
+  for (const p of PROVIDERS) {
+    for (const key of ['id', 'name', 'home', 'example']) assert.equal(typeof p[key], 'string', `${p.id}.${key}`);
+    for (const key of ['matchUrl', 'isLoginRedirect', 'scrape', 'classifyPhase']) assert.equal(typeof p[key], 'function', `${p.id}.${key}`);
+    assert.equal(providerById(p.id), p);
+  }
+  assert.equal(providerById('nope'), null);
+  assert.equal(providerNames(), 'Uber Eats, DoorDash or Grubhub');
+});
+
+test('login walls are recognized per provider', () => {
+  assert.ok(providerById('ubereats').isLoginRedirect('https://auth.uber.com/v2/?next_url=x'));
+  assert.ok(providerById('doordash').isLoginRedirect('https://identity.doordash.com/auth?client_id=1'));
+  assert.ok(providerById('grubhub').isLoginRedirect('https://www.grubhub.com/login?redirect=x'));
+  assert.ok(!providerById('grubhub').isLoginRedirect('https://www.grubhub.com/order/track/x'));
+});
+
+test('normalizeOrder fills every field and keeps delivered/cancelled exclusive', () => {
+  const out = normalizeOrder({ statusLine: 'x', cart: Array.from({ length: 20 }, (_, n) => `${n}`), delivered: true, cancelled: true });
+  assert.deepEqual(Object.keys(out), Object.keys(ORDER_FIELDS));
+  assert.equal(out.cart.length, 12);
+  assert.equal(out.delivered, false);
+  assert.equal(normalizeOrder({}).statusText, 'Unknown status');
+});
+
+test('classifiers map each provider\'s wording to the shared phases', () => {
+  const cases = {
+    doordash: {
+      'Tony\'s Pizzeria is preparing your order': 'PREPARING',
+      'Your Dasher is heading to the store': 'PREPARING',
+      'Your Dasher, Alex, is on the way': 'HEADING',
+      'Your Dasher is nearby': 'ALMOST_HERE',
+      'Your order was delivered': 'DELIVERED',
+      'Your order was cancelled': 'CANCELLED',
+      'Your order is running late': 'ISSUE',
+    },
+    grubhub: {
+      'Order received': 'PREPARING',
+      'The restaurant is preparing your order': 'PREPARING',
+      'Sam picked up your order': 'HEADING',
+      'Your order is out for delivery': 'HEADING',
+      'Your order is arriving soon': 'ALMOST_HERE',
+      'Enjoy your food!': 'DELIVERED',
+      'Finding a new driver': 'COURIER_REASSIGNED',
+    },
+  };
+  for (const [id, lines] of Object.entries(cases)) {
+    const p = providerById(id);
+    for (const [line, phase] of Object.entries(lines)) assert.equal(p.classifyPhase(line), phase, `${id}: ${line}`);
+    assert.equal(p.classifyPhase(''), null);
+  }
+});
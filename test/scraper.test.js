@@ -0,0 +1,137 @@
+// test/scraper.test.js — offline fixture suite for lib/scraper.js (no Discord, no browser).
+// Each test/fixtures/<provider>/<name>.html is paired with <name>.json:
+//   { "url": <page URL the HTML was loaded from>, "phase": <phaseFromScrape result>, "expected": <exact parse result> }
+// To add a case, save the page HTML next to a JSON file describing what it should parse to.
+// Providers with a JSON path also keep test/fixtures/<provider>/api/<name>.json:
+//   { "url": <tracked order URL>, "responses": [captured API bodies, oldest first], "phase": ..., "expected": <parse result or null> }
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { classifyPhase, phaseFromScrape, scanBanners, scrapeCourier, scrapeStopsBefore, scrapeProgress, orderProgress, progressBar } from '../lib/scraper.js';
+import { PROVIDERS, parseProviderPage, parseProviderPayloads, providerPhase } from '../lib/providers/index.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+for (const provider of PROVIDERS) {
+  const dir = path.join(FIXTURES, provider.id);
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.html')).sort()) {
+    const name = file.replace(/\.html$/, '');
+    test(`${provider.id} fixture: ${name}`, () => {
+      const html = fs.readFileSync(path.join(dir, file), 'utf8');
+      const spec = JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+
+      assert.ok(provider.matchUrl(spec.url) || provider.isLoginRedirect(spec.url), spec.url);
+      const data = parseProviderPage(provider, html, { url: spec.url });
+      assert.deepEqual(data, spec.expected);
+
+      assert.equal(providerPhase(provider, data), spec.phase);
+    });
+  }
+
+  const apiDir = path.join(dir, 'api');
+  if (!provider.fromPayloads || !fs.existsSync(apiDir)) continue;
+  for (const file of fs.readdirSync(apiDir).filter((f) => f.endsWith('.json')).sort()) {
+    test(`${provider.id} api fixture: ${file.replace(/\.json$/, '')}`, () => {
+      const spec = JSON.parse(fs.readFileSync(path.join(apiDir, file), 'utf8'));
+      const data = parseProviderPayloads(provider, spec.responses, { url: spec.url });
+      assert.deepEqual(data, spec.expected);
+      assert.equal(providerPhase(provider, data), spec.phase);
+    });
+  }
+}
+
+test('captured order JSON is only used for the tracked order', () => {
+  const spec = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'ubereats', 'api', 'two-orders.json'), 'utf8'));
+  const uber = PROVIDERS.find((p) => p.id === 'ubereats');
+  assert.equal(parseProviderPayloads(uber, spec.responses, { url: 'https://www.ubereats.com/orders/9a9a9a9a-0000-4000-8000-000000000000' }), null);
+  assert.equal(parseProviderPayloads(uber, spec.responses, { url: 'https://www.ubereats.com/orders/' }), null);
+});
+
+test('classifyPhase maps status lines to phases', () => {
+  const cases = {
+    'Preparing Jordan\'s order': 'PREPARING',
+    'Order received': 'PREPARING',
+    'Waiting for the store to confirm': 'PREPARING',
+    'Marco is heading your way': 'HEADING',
+    'Your order is on the way': 'HEADING',
+    'Almost there': 'ALMOST_HERE',
+    'Arriving now': 'ALMOST_HERE',
+    'Order arrived': 'DELIVERED',
+    'Delivered': 'DELIVERED',
+    'Your order was cancelled': 'CANCELLED',
+    'A refund has been issued': 'CANCELLED',
+    'Your courier is having trouble finding your address': 'ISSUE',
+    'Your order is running late': 'ISSUE',
+    'Finding a new courier': 'COURIER_REASSIGNED',
+    'Unknown status': null,
+    '': null,
+  };
+  for (const [line, phase] of Object.entries(cases)) {
+    assert.equal(classifyPhase(line), phase, line);
+  }
+});
+
+test('phaseFromScrape lets banners override the status line', () => {
+  const base = { statusLine: 'Marco is heading your way', statusText: 'Marco is heading your way' };
+  assert.equal(phaseFromScrape(base), 'HEADING');
+  assert.equal(phaseFromScrape({ ...base, issue: 'Running late' }), 'ISSUE');
+  assert.equal(phaseFromScrape({ ...base, reassigned: 'New courier', issue: 'Running late' }), 'COURIER_REASSIGNED');
+  assert.equal(phaseFromScrape({ ...base, cancelled: true, issue: 'Running late' }), 'CANCELLED');
+  assert.equal(phaseFromScrape({ requiresLogin: true }), null);
+});
+
+test('scanBanners reads the status line and banner containers, not help copy', () => {
+  const page = (body) => cheerio.load(`<main>${body}</main>`);
+  const line = 'Marco is heading your way';
+  assert.deepEqual(scanBanners(page('<p>What if my order is running late?</p><p>My order was cancelled. Will I get a refund?</p>'), line),
+    { cancelled: false, reassigned: null, issue: null });
+  assert.equal(scanBanners(page('<div role="alert"><span>Your order is running late</span></div>'), line).issue, 'Your order is running late');
+  const refund = page('<div role="status">A refund has been issued for 1 missing item</div>');
+  assert.equal(scanBanners(refund, line).cancelled, true);
+  assert.equal(scanBanners(refund, 'Order arrived', 'Order arrived', { delivered: true }).cancelled, false);
+  assert.equal(scanBanners(page('<div role="alert">Your order was cancelled</div>'), 'Order arrived', 'Order arrived', { delivered: true }).cancelled, true);
+});
+
+test('scrapeCourier reads name, vehicle and plate from the courier card', () => {
+  assert.deepEqual(scrapeCourier('Marco is heading your way', ['Marco is driving a Blue Kia Soul', 'Plate: abc 123']),
+    { name: 'Marco', vehicle: 'Blue Kia Soul', plate: 'ABC 123' });
+  assert.deepEqual(scrapeCourier('Almost there', ['Sam is riding a bike']), { name: 'Sam', vehicle: 'bike', plate: null });
+  assert.deepEqual(scrapeCourier('Preparing Jordan\'s order', ['Nissan Leaf • 5KLM901']), { name: null, vehicle: 'Nissan Leaf', plate: '5KLM901' });
+  assert.equal(scrapeCourier('Your order is on the way', ['Leave at my door']), null);
+  assert.equal(scrapeCourier('Order is on the way', []), null);
+});
+
+test('scrapeStopsBefore counts batched stops', () => {
+  assert.equal(scrapeStopsBefore(['2 stops before yours']), 2);
+  assert.equal(scrapeStopsBefore(['Two orders before yours']), 2);
+  assert.equal(scrapeStopsBefore(['Marco is completing another delivery nearby']), 1);
+  assert.equal(scrapeStopsBefore(['Marco is heading your way']), null);
+});
+
+test('scrapeProgress only counts finished or current steps', () => {
+  const steps = (...states) => cheerio.load(states.map((s, i) => `<div data-testid="order-progress-step-${i}" ${s}>Step ${i + 1}</div>`).join(''));
+  assert.deepEqual(scrapeProgress(steps('data-state="complete"', 'data-state="active"', 'data-state="incomplete"', 'data-state="inactive"')),
+    { step: 2, total: 4, label: 'Step 2' });
+  assert.deepEqual(scrapeProgress(steps('data-state="completed"', 'aria-current="step"', 'aria-current="false"')),
+    { step: 2, total: 3, label: 'Step 2' });
+  assert.deepEqual(scrapeProgress(steps('data-state="incomplete"', 'data-state="incomplete"')), { step: 0, total: 2, label: null });
+});
+
+test('progressBar draws step lists per step and scales percentage bars', () => {
+  assert.equal(progressBar({ step: 3, total: 4 }), '▰▰▰▱ 3/4');
+  assert.equal(progressBar({ step: 45, total: 100 }), '▰▰▰▰▱▱▱▱▱▱ 45%'); // aria-valuenow="45" aria-valuemax="100"
+  assert.equal(progressBar({ step: 100, total: 100 }), '▰'.repeat(10) + ' 100%');
+  assert.equal(progressBar({ step: 0, total: 100 }), '▱'.repeat(10) + ' 0%');
+  assert.equal(progressBar(null), null);
+});
+
+test('orderProgress prefers the scraped bar and falls back to the phase', () => {
+  const bar = { step: 2, total: 5, label: 'Picking up' };
+  assert.deepEqual(orderProgress({ progress: bar }, 'HEADING'), bar);
+  assert.deepEqual(orderProgress({}, 'HEADING'), { step: 2, total: 4, label: 'Heading your way' });
+  assert.equal(orderProgress({}, 'ISSUE'), null);
+  assert.equal(orderProgress({}, null), null);
+});
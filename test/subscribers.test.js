@@ -0,0 +1,23 @@
+// test/subscribers.test.js — per-level notice filtering and DM reply commands.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wantsNotice, parseDmCommand } from '../lib/subscribers.js';
+
+test('each level hears what it asked for; muted hears nothing', () => {
+  const all = { level: 'all', muted: 0 };
+  const eta = { level: 'eta', muted: 0 };
+  const delivery = { level: 'delivery', muted: 0 };
+  assert.deepEqual(['phase', 'eta', 'final'].map((k) => wantsNotice(all, k)), [true, true, true]);
+  assert.deepEqual(['phase', 'eta', 'final'].map((k) => wantsNotice(eta, k)), [false, true, true]);
+  assert.deepEqual(['phase', 'eta', 'final'].map((k) => wantsNotice(delivery, k)), [false, false, true]);
+  assert.equal(wantsNotice({ level: 'all', muted: 1 }, 'final'), false);
+  assert.equal(wantsNotice(null, 'final'), false);
+});
+
+test('parses DM replies', () => {
+  assert.equal(parseDmCommand('Mute'), 'mute');
+  assert.equal(parseDmCommand(' STOP! '), 'mute');
+  assert.equal(parseDmCommand('unmute'), 'unmute');
+  assert.equal(parseDmCommand('resume.'), 'unmute');
+  assert.equal(parseDmCommand('where is my food'), null);
+});
@@ -0,0 +1,32 @@
+// test/watchdog.test.js — stale-tracker limits.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { watchdogLimits, staleCheck } from '../lib/watchdog.js';
+
+const limits = watchdogLimits({ STALE_WARN_MIN: '30', STALE_STOP_MIN: '60', STALE_ERRORS_WARN: '3', STALE_ERRORS_STOP: '6' });
+const t0 = Date.parse('2025-01-01T12:00:00.000Z');
+const at = (min) => t0 + min * 60_000;
+
+test('watchdogLimits reads env with defaults', () => {
+  assert.deepEqual(watchdogLimits({}), { phaseWarnMs: 90 * 60_000, phaseStopMs: 180 * 60_000, errorsWarn: 5, errorsStop: 15 });
+  assert.equal(limits.phaseWarnMs, 30 * 60_000);
+});
+
+test('staleCheck escalates on time in phase', () => {
+  const job = { created_at: new Date(t0).toISOString(), phase_since: null, error_streak: 0 };
+  assert.equal(staleCheck(job, limits, at(10)).level, null);
+  const warn = staleCheck(job, limits, at(45));
+  assert.equal(warn.level, 'warn');
+  assert.equal(warn.kind, 'phase');
+  assert.equal(warn.reason, 'no status change for 45 min');
+  assert.equal(warn.stopAt, new Date(at(60)).toISOString());
+  assert.equal(staleCheck(job, limits, at(61)).level, 'stop');
+  // a phase change restarts the clock
+  assert.equal(staleCheck({ ...job, phase_since: new Date(at(50)).toISOString() }, limits, at(61)).level, null);
+});
+
+test('staleCheck escalates on consecutive errors', () => {
+  const job = { created_at: new Date(t0).toISOString(), error_streak: 3 };
+  assert.deepEqual(staleCheck(job, limits, at(1)), { level: 'warn', kind: 'errors', reason: '3 failed scrapes in a row', stopAt: null });
+  assert.equal(staleCheck({ ...job, error_streak: 6 }, limits, at(1)).level, 'stop');
+});
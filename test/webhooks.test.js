@@ -0,0 +1,82 @@
+// test/webhooks.test.js — signed delivery, filtering and persisted retries against a local receiver.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import Database from 'better-sqlite3';
+import { createWebhookDispatcher, verifySignature, backoffMs } from '../lib/webhooks.js';
+
+let server, url;
+const received = [];
+let failNext = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      if (failNext > 0) { failNext--; res.writeHead(500).end(); return; }
+      received.push({ headers: req.headers, body });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+after(() => new Promise((r) => server.close(r)));
+
+test('backoff grows and caps', () => {
+  assert.equal(backoffMs(1), 15_000);
+  assert.equal(backoffMs(3), 60_000);
+  assert.equal(backoffMs(20), 60 * 60_000);
+});
+
+test('delivers signed payloads to matching hooks only', async () => {
+  received.length = 0;
+  const hooks = createWebhookDispatcher({ db: new Database(':memory:') });
+  const all = hooks.addHook({ guild_id: 'g1', url });
+  hooks.addHook({ guild_id: 'g1', channel_id: 'c-other', url });
+  hooks.addHook({ guild_id: 'g1', url, events: ['delivered'] });
+  hooks.addHook({ guild_id: 'g2', url });
+
+  assert.equal(hooks.enqueue({ guild_id: 'g1', channel_id: 'c1', event: 'phase_changed', payload: { job: { id: 5 }, order: { store: 'Tony\'s' } } }), 1);
+  await hooks.processDue();
+
+  assert.equal(received.length, 1);
+  const { headers, body } = received[0];
+  assert.equal(headers['x-tracker-event'], 'phase_changed');
+  assert.deepEqual(JSON.parse(body), { event: 'phase_changed', job: { id: 5 }, order: { store: 'Tony\'s' } });
+  assert.ok(verifySignature(all.secret, { timestamp: headers['x-tracker-timestamp'], signature: headers['x-tracker-signature'], body }));
+  assert.ok(!verifySignature('wrong', { timestamp: headers['x-tracker-timestamp'], signature: headers['x-tracker-signature'], body }));
+  assert.equal(hooks.stats().pending, 0);
+});
+
+test('failed deliveries stay queued across restarts and give up after maxAttempts', async () => {
+  received.length = 0;
+  const db = new Database(':memory:');
+  const gaveUp = [];
+  let hooks = createWebhookDispatcher({ db, maxAttempts: 2, onGiveUp: (d) => gaveUp.push(d) });
+  hooks.addHook({ guild_id: 'g1', url });
+  hooks.enqueue({ guild_id: 'g1', event: 'delivered', payload: {} });
+
+  failNext = 1;
+  await hooks.processDue();
+  assert.equal(received.length, 0);
+  assert.equal(hooks.stats().pending, 1);
+  await hooks.processDue(); // not due yet (backoff)
+  assert.equal(received.length, 0);
+
+  // "restart": a fresh dispatcher over the same DB picks the queued delivery up
+  hooks = createWebhookDispatcher({ db, maxAttempts: 2, onGiveUp: (d) => gaveUp.push(d) });
+  await hooks.processDue(Date.now() + backoffMs(1));
+  assert.equal(received.length, 1);
+  assert.equal(hooks.stats().pending, 0);
+
+  hooks.enqueue({ guild_id: 'g1', event: 'delivered', payload: {} });
+  failNext = 2;
+  await hooks.processDue();
+  await hooks.processDue(Date.now() + backoffMs(1));
+  assert.equal(gaveUp.length, 1);
+  assert.equal(gaveUp[0].error, 'HTTP 500');
+  assert.equal(gaveUp[0].guild_id, 'g1');
+  assert.equal(hooks.stats().pending, 0);
+});